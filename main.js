@@ -1,11 +1,20 @@
 import { Actor, log } from 'apify';
-import { PuppeteerCrawler, RequestList, RequestQueue, ProxyConfiguration } from 'crawlee';
+import { PuppeteerCrawler, HttpCrawler, RequestList, RequestQueue, ProxyConfiguration } from 'crawlee';
 import ytsr from 'ytsr';
 import handlePageFunction from './src/handlePageFunction.js';
+import handleHttpRequest from './src/httpHandler.js';
 import { parseCSV } from './src/csvHandler.js';
 import { withRetryHandler } from './src/retryHandler.js';
 import { AdaptiveRateLimiter, createRateLimitHook, createRateLimitRecorder } from './src/rateLimiter.js';
 import { validateInput, logValidationResults } from './src/inputValidator.js';
+import { createChannelDiscovery } from './src/discovery.js';
+import { createTopicClassifier } from './src/topicClassifier.js';
+import { createLinkInBioExpander } from './src/linkInBio.js';
+import { createSocialPlatforms } from './src/socialProfiles.js';
+import { createWebsiteContactCollector, crawlWebsiteContacts } from './src/websiteContacts.js';
+import { createEmailClassifier } from './src/emails.js';
+import { CONSENT_COOKIES, INNERTUBE_ENDPOINTS, HANDLER_TIME_BUDGET } from './src/constants.js';
+import { resolveLocale, withLocaleParams, getLocaleHeaders, getPrefCookie } from './src/locale.js';
 
 /**
  * Searches YouTube for channels based on keywords
@@ -52,7 +61,7 @@ async function prepareChannelUrls(requestList, requestQueue) {
         // Try main channel page instead of /about for better data availability
         await requestQueue.addRequest({ 
             url: cleanUrl,
-            userData: { channelUrl: cleanUrl }
+            userData: { channelUrl: cleanUrl, depth: 0 }
         });
         count++;
     }
@@ -118,6 +127,68 @@ function createResourceBlocker() {
     };
 }
 
+/**
+ * Creates pre-navigation hook that pins the page language and region
+ * (URL parameters, Accept-Language header and PREF cookie)
+ * @param {Object} locale - { hl, gl }
+ * @returns {Function} Pre-navigation hook function
+ */
+function createLocaleHook(locale) {
+    return async ({ page, request }) => {
+        request.url = withLocaleParams(request.url, locale);
+        
+        await page.setExtraHTTPHeaders(getLocaleHeaders(locale));
+        await page.setCookie(getPrefCookie(locale));
+    };
+}
+
+/**
+ * Creates pre-navigation hook for browserless requests: pins the locale and stores
+ * the consent and PREF cookies in the session so tab requests send them too
+ * @param {Object} locale - { hl, gl }
+ * @returns {Function} Pre-navigation hook function
+ */
+function createHttpRequestHook(locale) {
+    const prefCookie = getPrefCookie(locale);
+    
+    return async ({ request, session }, gotOptions) => {
+        request.url = withLocaleParams(request.url, locale);
+        gotOptions.headers = { ...gotOptions.headers, ...getLocaleHeaders(locale) };
+        
+        for (const cookie of [...CONSENT_COOKIES, `${prefCookie.name}=${prefCookie.value}`]) {
+            session?.setCookie(cookie, INNERTUBE_ENDPOINTS.ORIGIN);
+        }
+    };
+}
+
+/**
+ * Estimates how long the channel handler needs with the enabled tabs and expansions:
+ * the page itself, each tab with its grid pages, link-in-bio pages, video descriptions
+ * and the featured channels tab
+ * @param {Object} options - Extraction options from input
+ * @returns {number} Seconds
+ */
+function estimateHandlerTimeoutSecs(options) {
+    const { PAGE_SECS, TAB_SECS, CONTINUATION_SECS, ITEMS_PER_PAGE, LINK_IN_BIO_PAGE_SECS, VIDEO_DESCRIPTION_SECS } = HANDLER_TIME_BUDGET;
+    const tabSecs = (maxItems) => TAB_SECS + CONTINUATION_SECS * Math.max(0, Math.ceil(maxItems / ITEMS_PER_PAGE) - 1);
+    
+    const tabs = [
+        [options.includeRecentVideos, options.maxRecentVideos],
+        [options.includeShorts, options.maxShorts],
+        [options.includeLiveStreams, options.maxLiveStreams],
+        [options.includePlaylists, options.maxPlaylists],
+        [options.includeCommunityPosts, options.maxCommunityPosts],
+        // Without recent uploads, mining video descriptions reads the Videos tab itself
+        [options.mineVideoDescriptions && !options.includeRecentVideos, options.maxVideoDescriptions],
+        [options.channelDiscovery, 0],
+    ];
+    
+    return PAGE_SECS
+        + tabs.reduce((total, [enabled, maxItems]) => total + (enabled ? tabSecs(maxItems || 0) : 0), 0)
+        + (options.linkInBioExpander ? options.maxLinkInBioPages * LINK_IN_BIO_PAGE_SECS : 0)
+        + (options.mineVideoDescriptions ? options.maxVideoDescriptions * VIDEO_DESCRIPTION_SECS : 0);
+}
+
 /**
  * Main actor function
  */
@@ -166,9 +237,91 @@ Actor.main(async () => {
         csvContent,
         maxChannelsPerRun = 1000,
         savePartialResults = true,
-        resumeFromChannel
+        resumeFromChannel,
+        crawlerType = 'browser',
+        hl,
+        gl,
+        includeRecentVideos = false,
+        maxRecentVideos = 30,
+        recentVideosDatasetName,
+        includeShorts = false,
+        maxShorts = 30,
+        includeLiveStreams = false,
+        maxLiveStreams = 30,
+        includePlaylists = false,
+        maxPlaylists = 100,
+        includeCommunityPosts = false,
+        maxCommunityPosts = 20,
+        mineVideoDescriptions = false,
+        maxVideoDescriptions = 5,
+        activeWithinDays = 30,
+        dormantAfterDays = 180,
+        medianViewsSampleSize = 10,
+        topicTaxonomy,
+        minTopicConfidence = 20,
+        customSocialPlatforms = {},
+        talentAgencyDomains = [],
+        expandLinkInBio = false,
+        maxLinkInBioPages = 3,
+        crawlWebsites = false,
+        maxWebsitePagesPerChannel = 5,
+        maxWebsiteDepth = 1,
+        websiteContactsDatasetName = 'website-contacts',
+        discoverFeaturedChannels = false,
+        maxDiscoveryDepth = 1,
+        maxDiscoveredChannels = 50
     } = input;
     
+    const locale = resolveLocale({ hl, gl });
+    const socialPlatforms = createSocialPlatforms(customSocialPlatforms);
+    const emailClassifier = createEmailClassifier({ agencyDomains: talentAgencyDomains });
+    
+    // Options passed through to the page handler
+    const extractionOptions = {
+        locale,
+        includeRecentVideos,
+        maxRecentVideos,
+        recentVideosDatasetName,
+        includeShorts,
+        maxShorts,
+        includeLiveStreams,
+        maxLiveStreams,
+        includePlaylists,
+        maxPlaylists,
+        includeCommunityPosts,
+        maxCommunityPosts,
+        mineVideoDescriptions,
+        maxVideoDescriptions,
+        activeWithinDays,
+        dormantAfterDays,
+        medianViewsSampleSize,
+        socialPlatforms,
+        emailClassifier,
+        linkInBioExpander: expandLinkInBio ? createLinkInBioExpander({ maxPages: maxLinkInBioPages }) : null,
+        websiteContacts: crawlWebsites
+            ? createWebsiteContactCollector({
+                maxPagesPerChannel: maxWebsitePagesPerChannel,
+                maxDepth: maxWebsiteDepth,
+                socialPlatforms,
+                emailClassifier,
+            })
+            : null,
+        topicClassifier: createTopicClassifier(topicTaxonomy, { minConfidence: minTopicConfidence / 100 }),
+        channelDiscovery: discoverFeaturedChannels
+            ? createChannelDiscovery({ maxDepth: maxDiscoveryDepth, maxChannels: maxDiscoveredChannels })
+            : null,
+        processedChannelIds: new Set()
+    };
+    
+    // Every enabled tab and expansion runs inside the channel handler, so its timeout has to cover them
+    const handlerTimeoutSecs = Math.max(
+        requestHandlerTimeoutSecs,
+        estimateHandlerTimeoutSecs({ ...extractionOptions, maxLinkInBioPages }),
+    );
+    if (handlerTimeoutSecs > requestHandlerTimeoutSecs) {
+        log.info(`Raising the handler timeout from ${requestHandlerTimeoutSecs}s to ${handlerTimeoutSecs}s for the enabled tabs and expansions`);
+    }
+    
     // Configure logging level
     if (process.env.VERBOSE_LOG?.toLowerCase() === 'true') {
         log.setLevel(log.LEVELS.DEBUG);
@@ -180,6 +333,8 @@ Actor.main(async () => {
         startUrlsCount: startUrls.length,
         limit,
         maxRequestsPerCrawl,
+        crawlerType,
+        locale,
         concurrency: { min: minConcurrency, max: maxConcurrency }
     });
     
@@ -255,44 +410,51 @@ Actor.main(async () => {
         
         const recordRateLimit = createRateLimitRecorder(rateLimiter);
         
-        // Create and configure crawler
-        const crawler = new PuppeteerCrawler({
-            requestQueue,
-            requestHandler: withRetryHandler(async (context) => {
-                const startTime = Date.now();
-                let success = false;
+        // Shared request handler wrapper: progress, partial results and rate limit bookkeeping
+        const createRequestHandler = (handler) => withRetryHandler(async (context) => {
+            const startTime = Date.now();
+            let success = false;
+            
+            try {
+                // Call the original handler
+                await handler(context, extractionOptions);
+                success = true;
+                
+                // Channels handed to the browser are counted when the browser pass finishes them
+                if (context.request.userData?.handedToBrowser) return;
                 
-                try {
-                    // Call the original handler
-                    await handlePageFunction(context);
-                    success = true;
-                    
-                    // Update progress
-                    processedCount++;
-                    const progress = Math.round((processedCount / totalCount) * 100);
-                    log.info(`Progress: ${processedCount}/${totalCount} channels (${progress}%)`);
-                    
-                    // Save progress state for resume capability - more frequent saves
-                    if (savePartialResults && processedCount % 5 === 0) {
-                        await Actor.setValue('PROGRESS_STATE', {
-                            processedCount,
-                            totalCount,
-                            lastProcessedUrl: context.request.url,
-                            timestamp: new Date().toISOString(),
-                            rateLimiterMetrics: rateLimiter.getMetrics()
-                        });
-                    }
-                } finally {
-                    // Record request for rate limiting
-                    const responseTime = Date.now() - startTime;
-                    const statusCode = context.response?.status() || 0;
-                    const rateLimited = statusCode === 429;
-                    recordRateLimit(success, responseTime, rateLimited);
+                // Update progress
+                processedCount++;
+                const progress = Math.round((processedCount / totalCount) * 100);
+                log.info(`Progress: ${processedCount}/${totalCount} channels (${progress}%)`);
+                
+                // Save progress state for resume capability - more frequent saves
+                if (savePartialResults && processedCount % 5 === 0) {
+                    await Actor.setValue('PROGRESS_STATE', {
+                        processedCount,
+                        totalCount,
+                        lastProcessedUrl: context.request.url,
+                        timestamp: new Date().toISOString(),
+                        rateLimiterMetrics: rateLimiter.getMetrics()
+                    });
                 }
-            }),
+            } finally {
+                // Record request for rate limiting (Puppeteer responses expose status(), HTTP ones statusCode)
+                const responseTime = Date.now() - startTime;
+                const statusCode = typeof context.response?.status === 'function'
+                    ? context.response.status()
+                    : context.response?.statusCode || 0;
+                const rateLimited = statusCode === 429;
+                recordRateLimit(success, responseTime, rateLimited);
+            }
+        });
+        
+        // Settings shared by the browser and HTTP crawlers
+        const commonCrawlerOptions = {
+            requestQueue,
             
             // Timeouts and retries
-            requestHandlerTimeoutSecs,
+            requestHandlerTimeoutSecs: handlerTimeoutSecs,
             maxRequestRetries,
             
             // Concurrency settings
@@ -300,14 +462,6 @@ Actor.main(async () => {
             maxConcurrency,
             maxRequestsPerCrawl,
             
-            // Browser settings - optimized for stability
-            browserPoolOptions: { 
-                maxOpenPagesPerBrowser: 1,
-                retireBrowserAfterPageCount: 5,  // More frequent browser recycling to prevent memory leaks
-                operationTimeoutSecs: 60,
-                closeInactiveBrowserAfterSecs: 120
-            },
-            
             // Session pool for handling failures
             useSessionPool: true,
             sessionPoolOptions: {
@@ -319,10 +473,25 @@ Actor.main(async () => {
             
             // Proxy configuration (only set if not null)
             ...(proxyConfig && { proxyConfiguration: proxyConfig }),
+        };
+        
+        // Create and configure browser crawler
+        const createBrowserCrawler = () => new PuppeteerCrawler({
+            ...commonCrawlerOptions,
+            requestHandler: createRequestHandler(handlePageFunction),
+            
+            // Browser settings - optimized for stability
+            browserPoolOptions: { 
+                maxOpenPagesPerBrowser: 1,
+                retireBrowserAfterPageCount: 5,  // More frequent browser recycling to prevent memory leaks
+                operationTimeoutSecs: 60,
+                closeInactiveBrowserAfterSecs: 120
+            },
             
             // Pre-navigation hooks
             preNavigationHooks: [
                 createResourceBlocker(),
+                createLocaleHook(locale),
                 createRateLimitHook(rateLimiter)
             ],
             
@@ -345,9 +514,60 @@ Actor.main(async () => {
             }
         });
         
-        // Run the crawler
-        log.info('Starting crawler...');
-        await crawler.run();
+        if (crawlerType === 'http') {
+            // Channels the HTTP pass could not complete are re-crawled with the browser afterwards
+            const fallbackRequests = [];
+            extractionOptions.browserFallback = async (request) => {
+                fallbackRequests.push({
+                    url: request.url,
+                    uniqueKey: `${request.url}#browser`,
+                    userData: { ...request.userData, browserFallback: true }
+                });
+                request.userData.handedToBrowser = true;
+            };
+            
+            const httpCrawler = new HttpCrawler({
+                ...commonCrawlerOptions,
+                requestHandler: createRequestHandler(handleHttpRequest),
+                failedRequestHandler: async ({ request }, error) => {
+                    log.warning(`HTTP extraction failed for ${request.url}: ${error.message}`);
+                    await extractionOptions.browserFallback(request);
+                },
+                preNavigationHooks: [
+                    createHttpRequestHook(locale),
+                    createRateLimitHook(rateLimiter)
+                ]
+            });
+            
+            log.info('Starting HTTP crawler...');
+            await httpCrawler.run();
+            
+            if (fallbackRequests.length > 0) {
+                log.info(`Re-crawling ${fallbackRequests.length} channels with the browser`);
+                await requestQueue.addRequests(fallbackRequests);
+                await createBrowserCrawler().run();
+            }
+        } else {
+            // Run the crawler
+            log.info('Starting crawler...');
+            await createBrowserCrawler().run();
+        }
+        
+        // Website contact crawl: a separate pass over the channels' own websites with the same proxy and rate limiter
+        const { websiteContacts } = extractionOptions;
+        if (websiteContacts?.channelCount > 0) {
+            await crawlWebsiteContacts(websiteContacts, {
+                crawlerOptions: {
+                    ...commonCrawlerOptions,
+                    requestHandlerTimeoutSecs,
+                    preNavigationHooks: [
+                        createRateLimitHook(rateLimiter)
+                    ]
+                },
+                recordRequest: recordRateLimit,
+            });
+            await websiteContacts.save(websiteContactsDatasetName);
+        }
         
         // Log completion message with summary
         const dataset = await Actor.openDataset();
@@ -0,0 +1,460 @@
+/**
+ * Channel data parser for YouTube Channel Scraper
+ * Page-independent extraction from ytInitialData, shared by the browser and HTTP handlers
+ */
+
+import { log } from 'apify';
+import * as constants from './constants.js';
+import * as utils from './utility.js';
+import { findContinuationToken } from './channelTabs.js';
+import { findSocialPlatform } from './socialProfiles.js';
+import { extractEmails } from './emails.js';
+import { extractPhones } from './phones.js';
+
+/**
+ * Normalizes YouTube's aboutChannelViewModel (the modern About modal)
+ * @param {Object} viewModel - aboutChannelViewModel
+ * @returns {Object} About data
+ */
+export function parseAboutViewModel(viewModel) {
+    const links = (viewModel.links || [])
+        .map(link => link.channelExternalLinkViewModel)
+        .filter(Boolean)
+        .map(link => {
+            const redirectUrl = link.link?.commandRuns?.[0]?.onTap?.innertubeCommand?.urlEndpoint?.url;
+            const displayUrl = utils.getText(link.link);
+            
+            return {
+                title: utils.getText(link.title),
+                url: redirectUrl
+                    ? utils.resolveRedirectUrl(redirectUrl)
+                    : (displayUrl ? `https://${displayUrl.replace(/^https?:\/\//, '')}` : ''),
+                faviconUrl: utils.getLargestThumbnail(link.favicon),
+            };
+        })
+        .filter(link => link.url);
+    
+    return {
+        description: viewModel.description || '',
+        country: viewModel.country || '',
+        joinedDateText: utils.getText(viewModel.joinedDateText).replace(/^Joined\s+/i, ''),
+        viewCountText: utils.getText(viewModel.viewCountText),
+        videoCountText: utils.getText(viewModel.videoCountText),
+        subscriberCountText: utils.getText(viewModel.subscriberCountText),
+        hasBusinessEmail: !!(viewModel.signInForBusinessEmail || viewModel.businessEmailRevealButton || viewModel.businessEmailButton),
+        links,
+    };
+}
+
+/**
+ * Loads the About modal data. YouTube fetches it through a browse continuation
+ * referenced from the header's description engagement panel.
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {Object} ytData - YouTube's initial data object of the channel page
+ * @returns {Promise<Object|null>} About data or null if unavailable
+ */
+export async function extractAboutData(loader, ytData) {
+    try {
+        // The /about URL may already embed the view model
+        let [viewModel] = utils.findRenderers(ytData, 'aboutChannelViewModel');
+        
+        if (!viewModel) {
+            const [engagementPanel] = utils.findRenderers(ytData?.header, 'showEngagementPanelEndpoint');
+            const token = findContinuationToken(engagementPanel);
+            if (!token) {
+                log.debug('No About modal continuation found in channel header');
+                return null;
+            }
+            
+            const aboutResponse = await loader.fetchContinuation(token);
+            [viewModel] = utils.findRenderers(aboutResponse, 'aboutChannelViewModel');
+        }
+        
+        return viewModel ? parseAboutViewModel(viewModel) : null;
+    } catch (error) {
+        log.debug('Failed to load About modal data:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Extracts channel metadata from ytInitialData
+ * @param {Object} ytData - YouTube's initial data object
+ * @param {Object} aboutData - About modal data (see extractAboutData); preferred over the legacy renderer
+ * @returns {Object} Extracted channel metadata
+ */
+export function extractChannelMetadata(ytData, aboutData = null) {
+    const metadata = {
+        channelName: '',
+        subscriberCount: '',
+        videoCount: '',
+        description: '',
+        joinedDate: '',
+        viewCount: '',
+        location: '',
+        links: [],
+        keywords: [],
+        isFamilySafe: null,
+        isMadeForKids: null,
+        availableCountryCodes: [],
+        rssUrl: '',
+        avatarImages: [],
+        bannerImages: []
+    };
+    
+    try {
+        const { YT_DATA_PATHS } = constants;
+        
+        // Channel metadata and microformat (present on every channel tab)
+        const tags = utils.getByPath(ytData, YT_DATA_PATHS.MICROFORMAT_TAGS);
+        metadata.keywords = Array.isArray(tags) && tags.length > 0
+            ? tags
+            : utils.parseKeywords(utils.getByPath(ytData, YT_DATA_PATHS.KEYWORDS));
+        
+        const familySafe = utils.getByPath(ytData, YT_DATA_PATHS.IS_FAMILY_SAFE) ??
+                           utils.getByPath(ytData, YT_DATA_PATHS.MICROFORMAT_FAMILY_SAFE);
+        metadata.isFamilySafe = typeof familySafe === 'boolean' ? familySafe : null;
+        
+        const madeForKids = utils.getByPath(ytData, YT_DATA_PATHS.IS_MADE_FOR_KIDS);
+        metadata.isMadeForKids = typeof madeForKids === 'boolean' ? madeForKids : null;
+        
+        metadata.availableCountryCodes = utils.getByPath(ytData, YT_DATA_PATHS.AVAILABLE_COUNTRY_CODES) ||
+                                         utils.getByPath(ytData, YT_DATA_PATHS.MICROFORMAT_AVAILABLE_COUNTRIES) ||
+                                         [];
+        
+        const channelId = utils.getByPath(ytData, YT_DATA_PATHS.EXTERNAL_ID);
+        metadata.rssUrl = utils.getByPath(ytData, YT_DATA_PATHS.RSS_URL) ||
+                          (channelId ? `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}` : '');
+        
+        metadata.avatarImages = utils.normalizeThumbnails(
+            utils.getByPath(ytData, YT_DATA_PATHS.METADATA_AVATAR_THUMBNAILS) || [],
+            utils.getByPath(ytData, YT_DATA_PATHS.AVATAR_THUMBNAILS) || [],
+            utils.getByPath(ytData, YT_DATA_PATHS.PAGE_HEADER_AVATAR_SOURCES) || [],
+            utils.getByPath(ytData, YT_DATA_PATHS.MICROFORMAT_THUMBNAILS) || []
+        );
+        metadata.bannerImages = utils.normalizeThumbnails(
+            utils.getByPath(ytData, YT_DATA_PATHS.BANNER_THUMBNAILS) || [],
+            utils.getByPath(ytData, YT_DATA_PATHS.TV_BANNER_THUMBNAILS) || [],
+            utils.getByPath(ytData, YT_DATA_PATHS.MOBILE_BANNER_THUMBNAILS) || [],
+            utils.getByPath(ytData, YT_DATA_PATHS.PAGE_HEADER_BANNER_SOURCES) || []
+        );
+        
+        // Try to find channel header data
+        const header = ytData?.header?.c4TabbedHeaderRenderer || 
+                      ytData?.header?.pageHeaderRenderer?.content?.pageHeaderViewModel;
+        
+        if (header) {
+            // Extract channel name from various possible locations
+            metadata.channelName = header.title || 
+                                 header.title?.simpleText || 
+                                 header.dynamicTextViewModel?.text?.content ||
+                                 '';
+            
+            // Extract subscriber count
+            metadata.subscriberCount = header.subscriberCountText?.simpleText || 
+                                     header.subscriberCountText?.runs?.[0]?.text ||
+                                     '';
+            
+            // Debug: Log what we found
+            log.info('Extracted from ytInitialData:', {
+                subscriberCountText: header.subscriberCountText,
+                videosCountText: header.videosCountText,
+                subscriberCount: metadata.subscriberCount,
+                videoCount: metadata.videoCount,
+                channelName: metadata.channelName
+            });
+            
+            // Extract video count
+            metadata.videoCount = header.videosCountText?.runs?.[0]?.text || 
+                                header.videosCount?.simpleText ||
+                                '';
+        }
+        
+        // Try to find about page data - handle both main page and about page
+        const tabs = ytData?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+        const aboutTab = tabs.find(tab => 
+            tab?.tabRenderer?.title === 'About' || 
+            tab?.tabRenderer?.content?.sectionListRenderer ||
+            tab?.tabRenderer?.selected
+        );
+        
+        if (aboutTab) {
+            const aboutData = aboutTab?.tabRenderer?.content?.sectionListRenderer?.contents?.[0]
+                ?.itemSectionRenderer?.contents?.[0]?.channelAboutFullMetadataRenderer;
+            
+            if (aboutData) {
+                metadata.description = aboutData.description?.simpleText || '';
+                metadata.location = aboutData.country?.simpleText || '';
+                metadata.joinedDate = aboutData.joinedDateText?.runs?.[1]?.text || '';
+                metadata.viewCount = aboutData.viewCountText?.simpleText || '';
+                
+                // Extract links
+                const primaryLinks = aboutData.primaryLinks || [];
+                const otherLinks = aboutData.otherLinks || [];
+                metadata.links = [...primaryLinks, ...otherLinks].map(link => ({
+                    title: link.title?.simpleText || '',
+                    url: utils.resolveRedirectUrl(link.navigationEndpoint?.urlEndpoint?.url)
+                }));
+            }
+        }
+        
+        // Modern About modal takes precedence; the legacy renderer above is the fallback
+        if (aboutData) {
+            metadata.description = aboutData.description || metadata.description;
+            metadata.location = aboutData.country || metadata.location;
+            metadata.joinedDate = aboutData.joinedDateText || metadata.joinedDate;
+            metadata.viewCount = aboutData.viewCountText || metadata.viewCount;
+            metadata.videoCount = aboutData.videoCountText || metadata.videoCount;
+            metadata.subscriberCount = aboutData.subscriberCountText || metadata.subscriberCount;
+            metadata.links = aboutData.links.length > 0 ? aboutData.links : metadata.links;
+        }
+        
+        metadata.description = metadata.description ||
+                               utils.getByPath(ytData, constants.YT_DATA_PATHS.DESCRIPTION) ||
+                               '';
+        
+    } catch (error) {
+        log.debug('Error parsing YouTube data structure:', error.message);
+    }
+    
+    return metadata;
+}
+
+/**
+ * Reads subscriber and video counts from the page header view model metadata rows
+ * ("@handle • 1.2M subscribers • 345 videos"). English labels are matched first; in other
+ * languages the two numeric parts are taken in display order (subscribers, then videos).
+ * @param {Object} ytData - YouTube's initial data object
+ * @returns {Object} { subscriberCountText, videoCountText }
+ */
+export function extractHeaderCounts(ytData) {
+    const parts = utils.findRenderers(ytData?.header, 'contentMetadataViewModel')
+        .flatMap(viewModel => viewModel.metadataRows || [])
+        .flatMap(row => row.metadataParts || [])
+        .map(part => utils.getText(part.text))
+        .filter(text => text && !text.startsWith('@'));
+    
+    const subscriberCountText = parts.find(text => constants.REGEX_PATTERNS.SUBSCRIBER_COUNT.test(text)) || '';
+    const videoCountText = parts.find(text => constants.REGEX_PATTERNS.VIDEO_COUNT.test(text)) || '';
+    
+    // A single number is ambiguous (subscriber counts can be hidden), so only a pair is read by position
+    const countParts = parts.filter(text => /\p{Nd}/u.test(text));
+    if (!(subscriberCountText && videoCountText) && countParts.length === 2) {
+        return { subscriberCountText: countParts[0], videoCountText: countParts[1] };
+    }
+    
+    return { subscriberCountText, videoCountText };
+}
+
+/**
+ * Resolves the canonical identity of a channel: UC… channel ID, @handle,
+ * legacy /c/ or /user/ vanity URL and the canonical URL from the page metadata
+ * @param {Object} ytData - YouTube's initial data object
+ * @param {string} inputUrl - URL the channel was requested with
+ * @returns {Object} Channel identity (fields are null when not found)
+ */
+export function extractChannelIdentity(ytData, inputUrl) {
+    const { YT_DATA_PATHS, REGEX_PATTERNS } = constants;
+    
+    const canonicalUrl = utils.getByPath(ytData, YT_DATA_PATHS.CANONICAL_URL) ||
+                         utils.getByPath(ytData, YT_DATA_PATHS.CHANNEL_URL) ||
+                         '';
+    const ownerUrls = utils.getByPath(ytData, YT_DATA_PATHS.OWNER_URLS) || [];
+    const knownUrls = [
+        canonicalUrl,
+        utils.getByPath(ytData, YT_DATA_PATHS.VANITY_CHANNEL_URL),
+        ...ownerUrls,
+        inputUrl,
+    ]
+        .filter(url => typeof url === 'string' && url)
+        .map(url => {
+            try {
+                return decodeURIComponent(url);
+            } catch {
+                return url;
+            }
+        });
+    
+    // Channel ID from metadata first, then from any known channel URL
+    const channelId = [
+        utils.getByPath(ytData, YT_DATA_PATHS.EXTERNAL_ID),
+        utils.getByPath(ytData, YT_DATA_PATHS.CHANNEL_ID),
+        ...knownUrls.map(url => url.match(REGEX_PATTERNS.CHANNEL_ID_URL)?.[1]),
+    ].find(id => id && REGEX_PATTERNS.CHANNEL_ID.test(id));
+    
+    // Handle as shown in the header (old and new layouts), then from URLs
+    const headerHandles = [
+        utils.getByPath(ytData, YT_DATA_PATHS.CHANNEL_HANDLE_TEXT),
+        ...utils.findRenderers(ytData?.header, 'contentMetadataViewModel')
+            .flatMap(viewModel => viewModel.metadataRows || [])
+            .flatMap(row => row.metadataParts || [])
+            .map(part => utils.getText(part.text)),
+    ];
+    const channelHandle = [
+        ...headerHandles,
+        ...knownUrls.map(url => url.match(REGEX_PATTERNS.HANDLE_URL)?.[1]),
+    ].find(handle => typeof handle === 'string' && /^@\S+$/.test(handle));
+    
+    // Legacy vanity URL (/c/name or /user/name) when YouTube still knows one
+    const vanityMatch = knownUrls
+        .map(url => url.match(REGEX_PATTERNS.LEGACY_VANITY_URL))
+        .find(Boolean);
+    
+    return {
+        channelId: channelId || null,
+        channelHandle: channelHandle || null,
+        channelVanityUrl: vanityMatch ? `https://www.youtube.com/${vanityMatch[1]}/${vanityMatch[2]}` : null,
+        channelCanonicalUrl: canonicalUrl || (channelId ? `https://www.youtube.com/channel/${channelId}` : null),
+    };
+}
+
+/**
+ * Reads the first path segment of a URL (skipping Spotify-style /intl-xx/ locale segments)
+ * @param {string} url - URL
+ * @returns {string} Lowercase first path segment or empty string
+ */
+function getFirstPathSegment(url) {
+    try {
+        const segments = new URL(url).pathname.toLowerCase().split('/').filter(Boolean);
+        return (segments[0]?.startsWith('intl-') ? segments[1] : segments[0]) || '';
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Processes and categorizes social media URLs by hostname into one `<platform>Urls` field
+ * per platform, plus websiteUrls for the rest
+ * @param {string[]} allUrls - All URLs found on page
+ * @param {Object} platforms - Platform rules (see SOCIAL_PLATFORMS and createSocialPlatforms)
+ * @returns {Object} Categorized social media URLs
+ */
+export function categorizeSocialUrls(allUrls, platforms = constants.SOCIAL_PLATFORMS) {
+    // Extract redirect URLs with 'q' parameter
+    const redirectUrls = utils.extractUrlParameters(allUrls, 'q');
+    
+    // Include direct URLs that aren't YouTube redirects
+    const directUrls = allUrls.filter(url => 
+        !url.includes('youtube.com/redirect') && 
+        !url.includes('youtube.com/@')
+    );
+    
+    const uniqueUrls = Array.from(new Set([...redirectUrls, ...directUrls]));
+    
+    // Every platform gets its field, even when empty
+    const socialUrls = Object.fromEntries(Object.keys(platforms).map(platform => [`${platform}Urls`, []]));
+    socialUrls.websiteUrls = [];
+    
+    for (const url of uniqueUrls) {
+        const match = findSocialPlatform(url, platforms);
+        if (!match) {
+            socialUrls.websiteUrls.push(url);
+            continue;
+        }
+        
+        // Platforms like Spotify only count profile pages (artist, user)
+        const { requiredPaths, stripQuery } = match.rule;
+        if (requiredPaths && !requiredPaths.includes(getFirstPathSegment(url))) continue;
+        
+        socialUrls[`${match.platform}Urls`].push(stripQuery ? utils.cleanUrl(url) : url);
+    }
+    
+    for (const [field, urls] of Object.entries(socialUrls)) {
+        socialUrls[field] = [...new Set(urls)];
+    }
+    
+    return socialUrls;
+}
+
+/**
+ * Extracts contact information from channel description
+ * @param {string} description - Channel description text
+ * @param {string} region - Region for phone numbers without a country code (see resolvePhoneRegion)
+ * @returns {Object} Contact information
+ */
+export function extractContactInfo(description, region) {
+    if (!description) {
+        return { emails: [], phones: [] };
+    }
+    
+    return {
+        emails: extractEmails(description),
+        phones: extractPhones(description, region),
+    };
+}
+
+/**
+ * Reads the verification badge from the channel header in ytInitialData
+ * @param {Object} ytData - YouTube's initial data object
+ * @returns {string|null} Verification category (e.g. 'Verified') or null
+ */
+export function extractVerificationFromData(ytData) {
+    // Classic header: badges carry a tooltip with the category
+    const [badge] = utils.findRenderers(ytData?.header, 'metadataBadgeRenderer');
+    if (badge?.tooltip) {
+        return badge.tooltip;
+    }
+    
+    // Page header view model: the badge is an icon attached to the title
+    const badgeIcons = {
+        CHECK_CIRCLE_FILLED: 'Verified',
+        AUDIO_BADGE: 'Official Artist Channel',
+    };
+    const title = ytData?.header?.pageHeaderRenderer?.content?.pageHeaderViewModel?.title;
+    const imageNames = utils.findRenderers(title, 'clientResource')
+        .map(resource => resource.imageName);
+    const icon = imageNames.find(name => badgeIcons[name]);
+    
+    return icon ? badgeIcons[icon] : null;
+}
+
+/**
+ * Detects whether the channel page is available or shows a terminated, missing,
+ * age-gated, region-blocked or private channel, with the reason YouTube displays
+ * @param {Object} ytData - YouTube's initial data object (may be empty on error pages)
+ * @param {number} statusCode - HTTP status of the channel page
+ * @param {string} gl - Region the page was rendered in (e.g. 'US'), compared with the channel's available countries
+ * @returns {Object} { channelStatus, channelStatusReason, channelName }
+ */
+export function detectChannelStatus(ytData, statusCode = 200, gl = '') {
+    const { CHANNEL_STATUS, CHANNEL_STATUS_PATTERNS, YT_DATA_PATHS } = constants;
+    
+    // Age gate replaces the channel content but keeps the channel title
+    const [ageGate] = utils.findRenderers(ytData?.contents, 'channelAgeGateRenderer');
+    if (ageGate) {
+        return {
+            channelStatus: CHANNEL_STATUS.AGE_RESTRICTED,
+            channelStatusReason: utils.getText(ageGate.header) || utils.getText(ageGate.mainText) || null,
+            channelName: utils.getText(ageGate.channelTitle) || null,
+        };
+    }
+    
+    const alerts = [
+        ...utils.findRenderers(ytData?.alerts, 'alertRenderer'),
+        ...utils.findRenderers(ytData?.alerts, 'alertWithButtonRenderer'),
+    ];
+    const errorAlert = alerts.find(alert => alert.type === 'ERROR');
+    
+    // Informational alerts can appear on working channel pages
+    if (!errorAlert && statusCode < 400) {
+        return { channelStatus: CHANNEL_STATUS.ACTIVE, channelStatusReason: null, channelName: null };
+    }
+    
+    const reason = utils.getText((errorAlert || alerts[0])?.text) || null;
+    
+    // Error pages without an alert are missing channels; a channel whose available
+    // countries leave out the page region is blocked there
+    if (!reason) {
+        return { channelStatus: CHANNEL_STATUS.NOT_FOUND, channelStatusReason: null, channelName: null };
+    }
+    const availableCountries = utils.getByPath(ytData, YT_DATA_PATHS.AVAILABLE_COUNTRY_CODES)
+        || utils.getByPath(ytData, YT_DATA_PATHS.MICROFORMAT_AVAILABLE_COUNTRIES);
+    if (gl && Array.isArray(availableCountries) && availableCountries.length > 0
+        && !availableCountries.includes(gl.toUpperCase())) {
+        return { channelStatus: CHANNEL_STATUS.GEO_BLOCKED, channelStatusReason: reason, channelName: null };
+    }
+    
+    // Otherwise the alert text tells terminated, private and age-restricted channels apart
+    const [channelStatus] = CHANNEL_STATUS_PATTERNS.find(([, pattern]) => pattern.test(reason)) || [CHANNEL_STATUS.NOT_FOUND];
+    return { channelStatus, channelStatusReason: reason, channelName: null };
+}
@@ -0,0 +1,337 @@
+/**
+ * Channel record builder for YouTube Channel Scraper
+ * Assembles and saves the output record once the channel page has been parsed,
+ * shared by the browser and HTTP handlers
+ */
+
+import { Actor, log } from 'apify';
+import { CHANNEL_STATUS } from './constants.js';
+import { categorizeSocialUrls, extractContactInfo } from './channelParser.js';
+import { extractChannelContent, computeActivityStats } from './contentExtractor.js';
+import { extractFeaturedChannels } from './discovery.js';
+import { extractMonetization } from './monetization.js';
+import { detectChannelLanguages } from './languageDetector.js';
+import { createSendRequestFetcher } from './linkInBio.js';
+import { collectSocialProfiles, createOwnChannelCheck } from './socialProfiles.js';
+import { createEmailClassifier } from './emails.js';
+import { resolvePhoneRegion, collectPhones } from './phones.js';
+import { extractVideoDescriptions } from './videoDescriptions.js';
+import * as utils from './utility.js';
+import { stripLocaleParams } from './locale.js';
+
+/**
+ * Saves recent uploads to a named dataset, one row per video keyed by channel
+ * @param {string} datasetName - Named dataset to write to
+ * @param {string} channelUrl - Channel the videos belong to
+ * @param {Object[]} videos - Recent uploads
+ */
+async function pushRecentUploads(datasetName, channelUrl, videos) {
+    if (videos.length === 0) return;
+    
+    const dataset = await Actor.openDataset(datasetName);
+    await dataset.pushData(videos.map(video => ({ channelURL: channelUrl, ...video })));
+}
+
+/**
+ * Collects channel tabs, featured channels and contacts and assembles the output record
+ * @param {Object} parsed - Data extracted from the channel page
+ * @param {Object} parsed.request - Crawlee request
+ * @param {Object} parsed.crawler - Crawler the request belongs to (for discovery enqueueing)
+ * @param {Function} parsed.sendRequest - sendRequest from the crawling context (for link-in-bio pages)
+ * @param {Object} parsed.loader - Tab loader (see channelTabs.js)
+ * @param {Object} parsed.ytData - YouTube's initial data object
+ * @param {Object} parsed.identity - Channel identity (see extractChannelIdentity)
+ * @param {Object} parsed.aboutData - About modal data or null
+ * @param {Object} parsed.basicInfo - Name, counts, profile image and raw metadata
+ * @param {Object} parsed.detailedInfo - Joined date, views, location, description and links
+ * @param {string[]} parsed.allUrls - URLs found on the channel page
+ * @param {string|null} parsed.verifiedCategory - Verification badge
+ * @param {string} parsed.crawlerType - 'browser' or 'http'
+ * @param {number} parsed.startTime - Processing start timestamp
+ * @param {Object} options - Extraction options (see handlePageFunction)
+ * @returns {Promise<Object>} Channel record
+ */
+export async function buildChannelRecord({
+    request,
+    crawler,
+    sendRequest,
+    loader,
+    ytData,
+    identity,
+    aboutData,
+    basicInfo,
+    detailedInfo,
+    allUrls,
+    verifiedCategory,
+    crawlerType,
+    startTime,
+}, options = {}) {
+    const channelUrl = stripLocaleParams(request.url).replace('/about', '');
+    
+    // Channel tabs (may navigate away from the channel page in browser mode)
+    const channelContent = await extractChannelContent(loader, options);
+    
+    if (channelContent.recentVideos) {
+        channelContent.activityStats = computeActivityStats(
+            channelContent.recentVideos,
+            basicInfo.channelSubscriberCount,
+            options,
+        );
+    }
+    
+    // Descriptions of the latest uploads carry sponsor links, socials and emails too
+    let videoDescriptions = [];
+    if (options.mineVideoDescriptions) {
+        videoDescriptions = await extractVideoDescriptions(loader, {
+            videos: channelContent.recentVideos,
+            maxVideos: options.maxVideoDescriptions,
+        });
+        log.info(`Read ${videoDescriptions.length} video descriptions`);
+    }
+    
+    // Titles of the home-tab shelves and the collected content, for topic tagging and language detection
+    const videoTitles = [
+        ...['videoRenderer', 'gridVideoRenderer', 'reelItemRenderer']
+            .flatMap(name => utils.findRenderers(ytData?.contents, name))
+            .map(video => utils.getText(video.title) || utils.getText(video.headline)),
+        ...['recentVideos', 'shorts', 'liveStreams', 'playlists']
+            .flatMap(field => channelContent[field] || [])
+            .map(item => item.title),
+    ].filter(Boolean);
+    
+    if (channelContent.recentVideos && options.recentVideosDatasetName) {
+        await pushRecentUploads(options.recentVideosDatasetName, channelUrl, channelContent.recentVideos);
+        delete channelContent.recentVideos;
+    }
+    
+    // Featured channels graph
+    let discoveryInfo;
+    if (options.channelDiscovery) {
+        const depth = request.userData?.depth || 0;
+        const featuredChannels = await extractFeaturedChannels(loader, ytData);
+        
+        options.channelDiscovery.markSeen(identity.channelId);
+        const added = await options.channelDiscovery.enqueue(crawler.requestQueue, featuredChannels, {
+            channelURL: channelUrl,
+            channelId: identity.channelId,
+            depth,
+        });
+        log.info(`Found ${featuredChannels.length} featured channels, queued ${added}`);
+        
+        discoveryInfo = {
+            featuredChannels,
+            discoveryDepth: depth,
+            discoveredFrom: request.userData?.discoveredFrom || null,
+            discoveredFromChannelId: request.userData?.discoveredFromChannelId || null,
+        };
+    }
+    
+    // Community posts often carry links and contacts missing from the description
+    const communityPosts = channelContent.communityPosts || [];
+    const postUrls = communityPosts.flatMap(post => post.links);
+    const phoneRegion = resolvePhoneRegion(detailedInfo.channelLocation, { hl: loader.locale, gl: loader.region });
+    const postContacts = communityPosts.map(post => extractContactInfo(post.text, phoneRegion));
+    const videoUrls = videoDescriptions.flatMap(video => video.links);
+    const videoContacts = videoDescriptions.map(video => extractContactInfo(video.description, phoneRegion));
+    
+    // Link-in-bio pages (Linktree, Beacons, ...) hide the actual profiles and emails
+    const channelUrls = [...new Set([...allUrls, ...postUrls, ...videoUrls])];
+    let linkInBioPages;
+    if (options.linkInBioExpander && sendRequest) {
+        linkInBioPages = await options.linkInBioExpander.expand(channelUrls, createSendRequestFetcher(sendRequest));
+        log.info(`Expanded ${linkInBioPages.length} link-in-bio pages`);
+    }
+    const linkInBioUrls = (linkInBioPages || []).flatMap(page => page.links);
+    
+    // Process URLs and extract contact info
+    const socialUrls = categorizeSocialUrls([...new Set([...channelUrls, ...linkInBioUrls])], options.socialPlatforms);
+    
+    // Profiles come from the About links (not every anchor on the page), without links back to the channel
+    const isOwnChannelLink = createOwnChannelCheck(identity, channelUrl);
+    const socialProfiles = collectSocialProfiles([
+        { urls: (detailedInfo.channelLinks || []).map(link => link.url), foundIn: `${channelUrl}/about` },
+        ...communityPosts.map(post => ({ urls: post.links, foundIn: post.url })),
+        ...videoDescriptions.map(video => ({ urls: video.links, foundIn: video.url })),
+        ...(linkInBioPages || []).map(page => ({ urls: page.links, foundIn: page.url })),
+    ].map(source => ({ ...source, urls: source.urls.filter(url => url && !isOwnChannelLink(utils.resolveRedirectUrl(url))) })),
+    options.socialPlatforms);
+    const descriptionContacts = extractContactInfo(detailedInfo.channelDescription, phoneRegion);
+    const emailClassifier = options.emailClassifier || createEmailClassifier();
+    const contactInfo = {
+        emails: emailClassifier.collect([
+            { emails: descriptionContacts.emails, foundIn: `${channelUrl}/about` },
+            ...communityPosts.map((post, index) => ({ emails: postContacts[index].emails, foundIn: post.url })),
+            ...videoDescriptions.map((video, index) => ({ emails: videoContacts[index].emails, foundIn: video.url })),
+            ...(linkInBioPages || []).map(page => ({ emails: page.emails, foundIn: page.url })),
+        ]),
+        phones: collectPhones([
+            { phones: descriptionContacts.phones, foundIn: `${channelUrl}/about` },
+            ...communityPosts.map((post, index) => ({ phones: postContacts[index].phones, foundIn: post.url })),
+            ...videoDescriptions.map((video, index) => ({ phones: videoContacts[index].phones, foundIn: video.url })),
+        ]),
+    };
+    
+    const topics = options.topicClassifier
+        ? options.topicClassifier.classify({
+            keywords: basicInfo.metadata.keywords,
+            description: detailedInfo.channelDescription,
+            videoTitles,
+            urls: [...channelUrls, ...linkInBioUrls],
+        })
+        : undefined;
+    
+    const joinedDate = utils.parseJoinedDate(detailedInfo.joinedDate, loader.locale);
+    
+    return {
+        // Basic information
+        channelURL: channelUrl,
+        channelId: identity.channelId,
+        channelHandle: identity.channelHandle,
+        channelVanityUrl: identity.channelVanityUrl,
+        channelCanonicalUrl: identity.channelCanonicalUrl,
+        channelName: basicInfo.channelName,
+        channelStatus: CHANNEL_STATUS.ACTIVE,
+        channelStatusReason: null,
+        channelSubscriberCount: basicInfo.channelSubscriberCount,
+        channelSubscriberCountText: basicInfo.channelSubscriberCountText,
+        channelVideosCount: basicInfo.channelVideosCount,
+        channelVideosCountText: basicInfo.channelVideosCountText,
+        
+        // Detailed information
+        joinedDate,
+        joinedDateText: detailedInfo.joinedDate,
+        channelAgeDays: utils.daysSince(joinedDate),
+        totalViewCount: detailedInfo.totalViewCount,
+        totalViewCountText: detailedInfo.totalViewCountText,
+        channelLocation: detailedInfo.channelLocation,
+        channelDescription: detailedInfo.channelDescription,
+        channelLinks: detailedInfo.channelLinks,
+        hasBusinessEmail: aboutData ? aboutData.hasBusinessEmail : null,
+        channelProfileImageURL: basicInfo.channelProfileImageURL,
+        
+        // Channel metadata and microformat
+        channelKeywords: basicInfo.metadata.keywords,
+        isFamilySafe: basicInfo.metadata.isFamilySafe,
+        isMadeForKids: basicInfo.metadata.isMadeForKids,
+        availableCountryCodes: basicInfo.metadata.availableCountryCodes,
+        rssUrl: basicInfo.metadata.rssUrl,
+        avatarImages: basicInfo.metadata.avatarImages,
+        bannerImages: basicInfo.metadata.bannerImages,
+        
+        // Contact information
+        channelEmail: contactInfo.emails,
+        channelPhone: contactInfo.phones,
+        
+        // Social media links
+        ...socialUrls,
+        socialProfiles,
+        linkInBioPages,
+        
+        // Verification status
+        verifiedCategory,
+        
+        // Memberships, merch, Store and Shopping
+        monetization: extractMonetization(ytData, verifiedCategory),
+        
+        // Topic tags
+        topics,
+        
+        // Languages of the description and video titles
+        ...detectChannelLanguages(detailedInfo.channelDescription, videoTitles),
+        
+        // Channel content
+        ...channelContent,
+        
+        // Channel discovery
+        ...discoveryInfo,
+        
+        // Metadata
+        scrapedAt: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        crawlerType,
+        locale: { hl: loader.locale || null, gl: loader.region || null },
+        dataSource: aboutData ? 'aboutChannelViewModel' : (ytData ? 'ytInitialData' : 'DOM'),
+    };
+}
+
+/**
+ * Assembles the record of a channel that cannot be scraped (terminated, not found,
+ * age-restricted, geo-blocked or private), so dead channels can be pruned from input lists
+ * @param {Object} parsed - Data extracted from the channel page
+ * @param {Object} parsed.request - Crawlee request
+ * @param {Object} parsed.identity - Channel identity (see extractChannelIdentity)
+ * @param {Object} parsed.status - Channel status (see detectChannelStatus)
+ * @param {Object} parsed.locale - Language and region of the page ({ hl, gl })
+ * @param {string} parsed.crawlerType - 'browser' or 'http'
+ * @param {number} parsed.startTime - Processing start timestamp
+ * @returns {Object} Channel record
+ */
+export function buildUnavailableChannelRecord({ request, identity, status, locale = {}, crawlerType, startTime }) {
+    return {
+        channelURL: stripLocaleParams(request.userData?.channelUrl || request.url).replace('/about', ''),
+        channelId: identity.channelId,
+        channelHandle: identity.channelHandle,
+        channelVanityUrl: identity.channelVanityUrl,
+        channelCanonicalUrl: identity.channelCanonicalUrl,
+        channelName: status.channelName,
+        channelStatus: status.channelStatus,
+        channelStatusReason: status.channelStatusReason,
+        scrapedAt: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        crawlerType,
+        locale: { hl: locale.hl || null, gl: locale.gl || null },
+        dataSource: 'channelStatus',
+    };
+}
+
+/**
+ * Claims a channel for the current request, so other URLs of the same channel that are
+ * handled at the same time are skipped
+ * @param {string} channelId - Channel ID (UC...)
+ * @param {Object} options - Extraction options (see handlePageFunction)
+ * @returns {boolean} False if the channel was already scraped or claimed in this run
+ */
+export function claimChannel(channelId, options = {}) {
+    if (!channelId || !options.processedChannelIds) return true;
+    if (options.processedChannelIds.has(channelId)) return false;
+    
+    options.processedChannelIds.add(channelId);
+    return true;
+}
+
+/**
+ * Releases a channel claimed by a request that failed or was handed on, so a retry or
+ * the browser can scrape it
+ * @param {string} channelId - Channel ID (UC...)
+ * @param {Object} options - Extraction options (see handlePageFunction)
+ */
+export function releaseChannel(channelId, options = {}) {
+    if (channelId) options.processedChannelIds?.delete(channelId);
+}
+
+/**
+ * Pushes a channel record to the default dataset and marks the channel as processed
+ * @param {Object} channelData - Channel record (see buildChannelRecord)
+ * @param {Object} options - Extraction options (see handlePageFunction)
+ */
+export async function saveChannelRecord(channelData, options = {}) {
+    await Actor.pushData(channelData);
+    if (channelData.channelId) {
+        options.processedChannelIds?.add(channelData.channelId);
+    }
+    
+    options.websiteContacts?.addChannel(channelData);
+    
+    if (channelData.channelStatus !== CHANNEL_STATUS.ACTIVE) {
+        log.info(`Channel ${channelData.channelURL} is ${channelData.channelStatus}: ${channelData.channelStatusReason || 'no reason given'}`);
+        return;
+    }
+    
+    log.info(`Successfully scraped channel: ${channelData.channelName}`, {
+        subscribers: channelData.channelSubscriberCount,
+        videos: channelData.channelVideosCount,
+        processingTime: channelData.processingTime,
+        dataSource: channelData.dataSource,
+        crawlerType: channelData.crawlerType,
+    });
+}
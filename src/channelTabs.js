@@ -0,0 +1,315 @@
+/**
+ * Channel Tab Loader for YouTube Channel Scraper
+ * Opens channel tabs (Videos, Shorts, Community, ...) and pages through their grids
+ * using YouTube's continuation tokens
+ */
+
+import { log } from 'apify';
+import { CHANNEL_TABS, CHANNEL_TAB_ALIASES, TAB_LIMITS, TIMEOUTS } from './constants.js';
+import { findRenderers, parseEmbeddedData } from './utility.js';
+import {
+    createInnerTubeClient,
+    createPageTransport,
+    createSendRequestTransport,
+    getClientConfig,
+} from './innertubeClient.js';
+import { getLocaleHeaders, withLocaleParams } from './locale.js';
+
+/**
+ * Builds the URL of a channel tab from the channel URL
+ * @param {string} channelUrl - Channel URL (@handle, /channel/, /c/ or /user/)
+ * @param {string} tab - Tab URL suffix (e.g. 'videos')
+ * @returns {string} Tab URL
+ */
+export function buildTabUrl(channelUrl, tab) {
+    const url = new URL(channelUrl);
+    const knownTabs = ['about', 'featured', ...Object.values(CHANNEL_TABS), ...Object.values(CHANNEL_TAB_ALIASES).flat()];
+    const segments = url.pathname.split('/').filter(Boolean);
+    
+    // Drop a tab suffix the input URL may already carry
+    if (segments.length > 1 && knownTabs.includes(segments[segments.length - 1])) {
+        segments.pop();
+    }
+    
+    url.pathname = `/${[...segments, tab].join('/')}`;
+    return url.toString();
+}
+
+/**
+ * Finds the browse endpoint of a channel tab in the tab bar of an already loaded page
+ * @param {Object} ytData - ytInitialData of a channel page
+ * @param {string} tab - Tab URL suffix
+ * @returns {Object|null} browseEndpoint ({ browseId, params }) or null
+ */
+export function findTabEndpoint(ytData, tab) {
+    const tabs = ytData?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+    const acceptedSuffixes = [tab, ...(CHANNEL_TAB_ALIASES[tab] || [])];
+    
+    const tabRenderer = tabs
+        .map(item => item?.tabRenderer)
+        .find(renderer => {
+            const tabUrl = renderer?.endpoint?.commandMetadata?.webCommandMetadata?.url || '';
+            return acceptedSuffixes.some(suffix => tabUrl.endsWith(`/${suffix}`));
+        });
+    
+    const browseEndpoint = tabRenderer?.endpoint?.browseEndpoint;
+    return browseEndpoint?.browseId ? browseEndpoint : null;
+}
+
+/**
+ * Creates a tab loader that uses the crawler's Puppeteer page. Tabs listed in the
+ * tab bar are fetched as JSON through InnerTube from inside the page; other tabs
+ * are opened by navigating the page.
+ * @param {Object} page - Puppeteer page instance
+ * @param {string} channelUrl - Channel URL
+ * @param {Object} homeYtData - ytInitialData of the channel page (for tab endpoints)
+ * @param {Object} locale - Language and region the page was rendered in ({ hl, gl })
+ * @returns {Object} Loader with locale, region, loadTab, fetchContinuation and fetchPlayer
+ */
+export function createPageTabLoader(page, channelUrl, homeYtData = null, locale = {}) {
+    let client = null;
+    
+    // ytcfg is read once, from the page the loader starts on
+    const getClient = async () => {
+        if (!client) {
+            const ytcfg = await page.evaluate(() => window.ytcfg?.data_ || {});
+            client = createInnerTubeClient({
+                ...getClientConfig(ytcfg),
+                transport: createPageTransport(page),
+            });
+        }
+        return client;
+    };
+    
+    return {
+        locale: locale.hl || '',
+        region: locale.gl || '',
+        
+        /**
+         * Loads a channel tab and returns its ytInitialData
+         * @param {string} tab - Tab URL suffix
+         * @returns {Promise<Object|null>} ytInitialData or null
+         */
+        async loadTab(tab) {
+            const endpoint = findTabEndpoint(homeYtData, tab);
+            if (endpoint) {
+                try {
+                    return await (await getClient()).browse(endpoint);
+                } catch (error) {
+                    log.debug(`Failed to browse tab "${tab}", opening it instead: ${error.message}`);
+                }
+            }
+            
+            const tabUrl = withLocaleParams(buildTabUrl(channelUrl, tab), locale);
+            
+            try {
+                await getClient();
+                await page.goto(tabUrl, {
+                    waitUntil: 'domcontentloaded',
+                    timeout: TIMEOUTS.TAB_NAVIGATION
+                });
+                await page.waitForFunction(
+                    () => window.ytInitialData && Object.keys(window.ytInitialData).length > 0,
+                    { timeout: TIMEOUTS.DYNAMIC_CONTENT }
+                ).catch(() => null);
+                
+                return await page.evaluate(() => window.ytInitialData || null);
+            } catch (error) {
+                log.debug(`Failed to open tab ${tabUrl}: ${error.message}`);
+                return null;
+            }
+        },
+        
+        /**
+         * Requests the next page of a grid from inside the page context
+         * @param {string} token - Continuation token
+         * @returns {Promise<Object|null>} Continuation response or null
+         */
+        async fetchContinuation(token) {
+            try {
+                return await (await getClient()).continuation(token);
+            } catch (error) {
+                log.debug(`Failed to fetch continuation: ${error.message}`);
+                return null;
+            }
+        },
+        
+        /**
+         * Requests the player response of a video from inside the page context
+         * @param {string} videoId - Video ID
+         * @returns {Promise<Object|null>} Player response or null
+         */
+        async fetchPlayer(videoId) {
+            try {
+                return await (await getClient()).player(videoId);
+            } catch (error) {
+                log.debug(`Failed to fetch player response of ${videoId}: ${error.message}`);
+                return null;
+            }
+        },
+    };
+}
+
+/**
+ * Creates a tab loader that fetches tabs over plain HTTP (no browser). Tabs listed
+ * in the tab bar are fetched as JSON through InnerTube; other tabs as HTML.
+ * @param {Function} sendRequest - Crawlee's sendRequest from the crawling context (reuses session and proxy)
+ * @param {string} channelUrl - Channel URL
+ * @param {Object} ytcfg - ytcfg of the channel page (InnerTube API key and client context)
+ * @param {Object} homeYtData - ytInitialData of the channel page (for tab endpoints)
+ * @param {Object} requestedLocale - Requested { hl, gl }, used where ytcfg does not report them
+ * @returns {Object} Loader with locale, region, loadTab, fetchContinuation and fetchPlayer
+ */
+export function createHttpTabLoader(sendRequest, channelUrl, ytcfg = {}, homeYtData = null, requestedLocale = {}) {
+    const locale = { hl: ytcfg.HL || requestedLocale.hl, gl: ytcfg.GL || requestedLocale.gl };
+    const headers = getLocaleHeaders(locale);
+    const client = createInnerTubeClient({
+        ...getClientConfig(ytcfg),
+        transport: createSendRequestTransport(sendRequest),
+        headers,
+    });
+    
+    return {
+        locale: locale.hl || '',
+        region: locale.gl || '',
+        
+        /**
+         * Loads a channel tab and returns its ytInitialData
+         * @param {string} tab - Tab URL suffix
+         * @returns {Promise<Object|null>} ytInitialData or null
+         */
+        async loadTab(tab) {
+            const endpoint = findTabEndpoint(homeYtData, tab);
+            if (endpoint) {
+                try {
+                    return await client.browse(endpoint);
+                } catch (error) {
+                    log.debug(`Failed to browse tab "${tab}", downloading it instead: ${error.message}`);
+                }
+            }
+            
+            const tabUrl = withLocaleParams(buildTabUrl(channelUrl, tab), locale);
+            
+            try {
+                const response = await sendRequest({
+                    url: tabUrl,
+                    headers,
+                    timeout: { request: TIMEOUTS.TAB_NAVIGATION },
+                });
+                const { ytData } = parseEmbeddedData(response.body);
+                return Object.keys(ytData).length > 0 ? ytData : null;
+            } catch (error) {
+                log.debug(`Failed to download tab ${tabUrl}: ${error.message}`);
+                return null;
+            }
+        },
+        
+        /**
+         * Requests the next page of a grid from the InnerTube browse endpoint
+         * @param {string} token - Continuation token
+         * @returns {Promise<Object|null>} Continuation response or null
+         */
+        async fetchContinuation(token) {
+            try {
+                return await client.continuation(token);
+            } catch (error) {
+                log.debug(`Failed to fetch continuation: ${error.message}`);
+                return null;
+            }
+        },
+        
+        /**
+         * Requests the player response of a video from the InnerTube player endpoint
+         * @param {string} videoId - Video ID
+         * @returns {Promise<Object|null>} Player response or null
+         */
+        async fetchPlayer(videoId) {
+            try {
+                return await client.player(videoId);
+            } catch (error) {
+                log.debug(`Failed to fetch player response of ${videoId}: ${error.message}`);
+                return null;
+            }
+        },
+    };
+}
+
+/**
+ * Returns the content of the selected tab if it matches the requested one.
+ * YouTube redirects to the home tab when a channel has no such tab.
+ * @param {Object} ytData - ytInitialData of a tab page
+ * @param {string} tab - Tab URL suffix
+ * @returns {Object|null} Tab content or null
+ */
+export function getSelectedTabContent(ytData, tab) {
+    const tabs = ytData?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+    const selected = tabs.find(item => item?.tabRenderer?.selected)?.tabRenderer;
+    if (!selected) return null;
+    
+    const tabUrl = selected.endpoint?.commandMetadata?.webCommandMetadata?.url || '';
+    const acceptedSuffixes = [tab, ...(CHANNEL_TAB_ALIASES[tab] || [])];
+    if (tabUrl && !acceptedSuffixes.some(suffix => tabUrl.endsWith(`/${suffix}`))) {
+        return null;
+    }
+    
+    return selected.content || null;
+}
+
+/**
+ * Finds the continuation token for the next grid page
+ * @param {Object} node - Tab content or continuation response
+ * @returns {string|null} Continuation token or null
+ */
+export function findContinuationToken(node) {
+    const [continuationItem] = findRenderers(node, 'continuationItemRenderer');
+    return continuationItem?.continuationEndpoint?.continuationCommand?.token || null;
+}
+
+/**
+ * Opens a channel tab and collects parsed items across continuation pages
+ * @param {Object} loader - Tab loader (see createPageTabLoader and createHttpTabLoader)
+ * @param {string} tab - Tab URL suffix
+ * @param {Function} parseItems - Maps a tab/continuation node (and the loader's locale) to an array of items
+ * @param {Object} options - Collection options
+ * @param {string} options.idField - Item field used to drop duplicates between pages
+ * @param {number} options.maxItems - Maximum number of items to collect
+ * @returns {Promise<Object[]>} Collected items
+ */
+export async function collectTabItems(loader, tab, parseItems, {
+    idField = 'id',
+    maxItems = TAB_LIMITS.DEFAULT_MAX_ITEMS,
+} = {}) {
+    const ytData = await loader.loadTab(tab);
+    let node = getSelectedTabContent(ytData, tab);
+    
+    if (!node) {
+        log.debug(`Channel has no "${tab}" tab`);
+        return [];
+    }
+    
+    const items = new Map();
+    const seenTokens = new Set();
+    let pages = 0;
+    
+    while (node && items.size < maxItems) {
+        for (const item of parseItems(node, loader.locale)) {
+            const id = item?.[idField];
+            if (id && !items.has(id)) {
+                items.set(id, item);
+            }
+        }
+        
+        const token = findContinuationToken(node);
+        pages++;
+        
+        if (!token || seenTokens.has(token) || pages >= TAB_LIMITS.MAX_CONTINUATION_PAGES) {
+            break;
+        }
+        
+        seenTokens.add(token);
+        node = await loader.fetchContinuation(token);
+    }
+    
+    log.debug(`Collected ${items.size} items from "${tab}" tab in ${pages} page(s)`);
+    return Array.from(items.values()).slice(0, maxItems);
+}
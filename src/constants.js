@@ -76,11 +76,36 @@ export const YT_DATA_PATHS = {
     VIDEOS_COUNT_TEXT: 'header.c4TabbedHeaderRenderer.videosCountText.runs[0].text',
     AVATAR_URL: 'header.c4TabbedHeaderRenderer.avatar.thumbnails[2].url',
     BANNER_URL: 'header.c4TabbedHeaderRenderer.banner.thumbnails[0].url',
+    AVATAR_THUMBNAILS: 'header.c4TabbedHeaderRenderer.avatar.thumbnails',
+    BANNER_THUMBNAILS: 'header.c4TabbedHeaderRenderer.banner.thumbnails',
+    TV_BANNER_THUMBNAILS: 'header.c4TabbedHeaderRenderer.tvBanner.thumbnails',
+    MOBILE_BANNER_THUMBNAILS: 'header.c4TabbedHeaderRenderer.mobileBanner.thumbnails',
+    PAGE_HEADER_AVATAR_SOURCES: 'header.pageHeaderRenderer.content.pageHeaderViewModel.image.decoratedAvatarViewModel.avatar.avatarViewModel.image.sources',
+    PAGE_HEADER_BANNER_SOURCES: 'header.pageHeaderRenderer.content.pageHeaderViewModel.banner.imageBannerViewModel.image.sources',
+    
+    CHANNEL_HANDLE_TEXT: 'header.c4TabbedHeaderRenderer.channelHandleText.runs[0].text',
     
     // About page metadata
+    METADATA_TITLE: 'metadata.channelMetadataRenderer.title',
     DESCRIPTION: 'metadata.channelMetadataRenderer.description',
     KEYWORDS: 'metadata.channelMetadataRenderer.keywords',
     COUNTRY: 'metadata.channelMetadataRenderer.country',
+    EXTERNAL_ID: 'metadata.channelMetadataRenderer.externalId',
+    CHANNEL_URL: 'metadata.channelMetadataRenderer.channelUrl',
+    VANITY_CHANNEL_URL: 'metadata.channelMetadataRenderer.vanityChannelUrl',
+    OWNER_URLS: 'metadata.channelMetadataRenderer.ownerUrls',
+    RSS_URL: 'metadata.channelMetadataRenderer.rssUrl',
+    IS_FAMILY_SAFE: 'metadata.channelMetadataRenderer.isFamilySafe',
+    AVAILABLE_COUNTRY_CODES: 'metadata.channelMetadataRenderer.availableCountryCodes',
+    METADATA_AVATAR_THUMBNAILS: 'metadata.channelMetadataRenderer.avatar.thumbnails',
+    IS_MADE_FOR_KIDS: 'metadata.channelMetadataRenderer.isMadeForKids',
+    
+    // Page microformat
+    CANONICAL_URL: 'microformat.microformatDataRenderer.urlCanonical',
+    MICROFORMAT_TAGS: 'microformat.microformatDataRenderer.tags',
+    MICROFORMAT_FAMILY_SAFE: 'microformat.microformatDataRenderer.familySafe',
+    MICROFORMAT_AVAILABLE_COUNTRIES: 'microformat.microformatDataRenderer.availableCountries',
+    MICROFORMAT_THUMBNAILS: 'microformat.microformatDataRenderer.thumbnail.thumbnails',
     
     // About tab specific
     ABOUT_DESCRIPTION: 'contents.twoColumnBrowseResultsRenderer.tabs[*].tabRenderer.content.sectionListRenderer.contents[0].itemSectionRenderer.contents[0].channelAboutFullMetadataRenderer.description.simpleText',
@@ -90,28 +115,490 @@ export const YT_DATA_PATHS = {
     ABOUT_LINKS: 'contents.twoColumnBrowseResultsRenderer.tabs[*].tabRenderer.content.sectionListRenderer.contents[0].itemSectionRenderer.contents[0].channelAboutFullMetadataRenderer.primaryLinks',
 };
 
-// Social media patterns for URL detection
-export const SOCIAL_MEDIA_PATTERNS = {
-    YOUTUBE: ['youtube.com'],
-    INSTAGRAM: ['instagram.com'],
-    TWITTER: ['twitter.com', 'x.com'],
-    FACEBOOK: ['facebook.com', 'fb.com'],
-    LINKEDIN: ['linkedin.com'],
-    PINTEREST: ['pinterest.com'],
-    REDDIT: ['reddit.com'],
-    TUMBLR: ['tumblr.com'],
-    TIKTOK: ['tiktok.com'],
-    TWITCH: ['twitch.tv'],
-    ONLYFANS: ['onlyfans.com'],
-    SPOTIFY: {
-        domains: ['spotify.com'],
-        requiredPaths: ['user', 'artist']
-    },
-    SOUNDCLOUD: ['soundcloud.com'],
-    DISCORD: ['discord.gg', 'discord.com/invite'],
-    PATREON: ['patreon.com'],
-    GITHUB: ['github.com'],
-    WEBSITE: ['http', 'https'], // Generic website
+// Channel tab URL suffixes (locale independent, unlike tab titles)
+export const CHANNEL_TABS = {
+    VIDEOS: 'videos',
+    SHORTS: 'shorts',
+    LIVE: 'streams',
+    PLAYLISTS: 'playlists',
+    COMMUNITY: 'community',
+    CHANNELS: 'channels',
+    STORE: 'store',
+};
+
+// Tabs YouTube renamed; the old suffix redirects to the new one
+export const CHANNEL_TAB_ALIASES = {
+    community: ['posts'],
+};
+
+// Limits for paging through channel tab grids
+export const TAB_LIMITS = {
+    DEFAULT_MAX_ITEMS: 30,
+    MAX_ITEMS: 500,
+    MAX_CONTINUATION_PAGES: 20,
+};
+
+// Upload activity of a channel, judged by the days since its last upload
+export const ACTIVITY_STATUS = {
+    ACTIVE: 'active',
+    SLOWING: 'slowing',
+    DORMANT: 'dormant',
+};
+
+// Default thresholds for the activity analytics
+export const ACTIVITY_DEFAULTS = {
+    ACTIVE_WITHIN_DAYS: 30,
+    DORMANT_AFTER_DAYS: 180,
+    MEDIAN_VIEWS_SAMPLE_SIZE: 10,
+};
+
+// InnerTube endpoints used for continuation requests
+export const INNERTUBE_ENDPOINTS = {
+    ORIGIN: 'https://www.youtube.com',
+    BROWSE: '/youtubei/v1/browse',
+    PLAYER: '/youtubei/v1/player',
+};
+
+// Interface language (hl) and content region (gl) pages are rendered in unless the input overrides them
+export const DEFAULT_LOCALE = {
+    hl: 'en',
+    gl: 'US',
+};
+
+// Cookies that skip the EU consent redirect in browserless mode
+export const CONSENT_COOKIES = ['SOCS=CAI', 'CONSENT=YES+cb'];
+
+// Relative time units as they appear in "published" texts (e.g. "3 weeks ago")
+export const RELATIVE_TIME_UNITS = {
+    second: 1000,
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000,
+    year: 365 * 24 * 60 * 60 * 1000,
+};
+
+// Relative time unit words in YouTube's display languages (lowercase, matched at the start of
+// the word after the number; the longest matching key wins) -> RELATIVE_TIME_UNITS key
+export const RELATIVE_TIME_UNIT_WORDS = {
+    // English, German, Dutch, Scandinavian
+    second: 'second', minute: 'minute', hour: 'hour', day: 'day', week: 'week', month: 'month', year: 'year',
+    sekunde: 'second', stunde: 'hour', tag: 'day', woche: 'week', monat: 'month', jahr: 'year',
+    seconde: 'second', minuut: 'minute', minuten: 'minute', uur: 'hour', dag: 'day', weken: 'week', maand: 'month', jaar: 'year',
+    sekund: 'second', minut: 'minute', timm: 'hour', time: 'hour', veck: 'week', uge: 'week', uke: 'week', 'måned': 'month', 'månad': 'month', 'år': 'year',
+    // French, Spanish, Portuguese, Italian
+    heure: 'hour', jour: 'day', semaine: 'week', mois: 'month', an: 'year',
+    segundo: 'second', minuto: 'minute', hora: 'hour', 'día': 'day', dia: 'day', semana: 'week', mes: 'month', 'mês': 'month', 'año': 'year', ano: 'year',
+    secondi: 'second', ora: 'hour', ore: 'hour', giorn: 'day', settiman: 'week', mese: 'month', mesi: 'month', ann: 'year',
+    // Polish, Czech, Turkish, Indonesian, Vietnamese
+    godzin: 'hour', 'dzień': 'day', dni: 'day', 'tydzień': 'week', tygodn: 'week', 'miesiąc': 'month', 'miesięc': 'month', rok: 'year', lat: 'year',
+    hodin: 'hour', den: 'day', dn: 'day', 'týd': 'week', 'měsíc': 'month', let: 'year',
+    saniye: 'second', dakika: 'minute', saat: 'hour', 'gün': 'day', hafta: 'week', ay: 'month', 'yıl': 'year',
+    detik: 'second', menit: 'minute', jam: 'hour', hari: 'day', minggu: 'week', bulan: 'month', tahun: 'year',
+    'giây': 'second', 'phút': 'minute', 'giờ': 'hour', 'ngày': 'day', 'tuần': 'week', 'tháng': 'month', 'năm': 'year',
+    // Russian, Ukrainian
+    'секунд': 'second', 'минут': 'minute', 'час': 'hour', 'день': 'day', 'дн': 'day', 'недел': 'week', 'месяц': 'month', 'год': 'year', 'лет': 'year',
+    'хвилин': 'minute', 'годин': 'hour', 'тиж': 'week', 'місяц': 'month', 'рік': 'year', 'рок': 'year',
+    // Greek
+    'δευτερόλεπτ': 'second', 'λεπτ': 'minute', 'ώρ': 'hour', 'ημέρ': 'day', 'μέρ': 'day', 'εβδομάδ': 'week', 'μήν': 'month', 'μην': 'month', 'έτ': 'year', 'χρόν': 'year',
+    // Arabic
+    'ثانية': 'second', 'ثوان': 'second', 'دقيقة': 'minute', 'دقائق': 'minute', 'ساع': 'hour', 'يوم': 'day', 'أيام': 'day',
+    'أسبوع': 'week', 'أسابيع': 'week', 'شهر': 'month', 'أشهر': 'month', 'سن': 'year',
+    // Hindi (nukta-free stems; NFKC keeps nukta letters decomposed)
+    'सेकंड': 'second', 'मिनट': 'minute', 'घंट': 'hour', 'दिन': 'day', 'हफ': 'week', 'सप्ताह': 'week', 'महीन': 'month', 'वर्ष': 'year', 'साल': 'year',
+    // Japanese, Chinese, Korean
+    '秒': 'second', '分': 'minute', '時間': 'hour', '小时': 'hour', '小時': 'hour', '日': 'day', '天': 'day', '週': 'week', '周': 'week',
+    'か月': 'month', 'ヶ月': 'month', 'カ月': 'month', '个月': 'month', '個月': 'month', '年': 'year',
+    '초': 'second', '분': 'minute', '시간': 'hour', '일': 'day', '주': 'week', '개월': 'month', '년': 'year',
+};
+
+// Month names and abbreviations in YouTube's display languages (lowercase, matched at word start;
+// the longest matching key wins)
+export const MONTH_NAMES = {
+    // English, German, Dutch, Scandinavian, Indonesian
+    jan: 1, feb: 2, mar: 3, 'mär': 3, mrt: 3, apr: 4, may: 5, mai: 5, mei: 5, maj: 5,
+    jun: 6, jul: 7, aug: 8, agu: 8, agt: 8, sep: 9, oct: 10, okt: 10, nov: 11, dec: 12, dez: 12, des: 12,
+    // French
+    janv: 1, 'févr': 2, 'fév': 2, mars: 3, avr: 4, juin: 6, juil: 7, 'août': 8, sept: 9, 'déc': 12,
+    // Spanish, Portuguese, Italian
+    ene: 1, abr: 4, ago: 8, set: 9, out: 10, dic: 12, fev: 2, gen: 1, mag: 5, giu: 6, lug: 7, ott: 10,
+    // Polish, Czech, Turkish
+    sty: 1, lut: 2, kwi: 4, cze: 6, lip: 7, sie: 8, wrz: 9, 'paź': 10, lis: 11, gru: 12,
+    led: 1, 'úno': 2, 'bře': 3, dub: 4, 'kvě': 5, 'čvn': 6, 'čvc': 7, srp: 8, 'zář': 9, 'říj': 10, pro: 12,
+    oca: 1, 'şub': 2, nis: 4, haz: 6, tem: 7, 'ağu': 8, eyl: 9, eki: 10, kas: 11, ara: 12,
+    // Russian, Ukrainian
+    'янв': 1, 'фев': 2, 'мар': 3, 'апр': 4, 'мая': 5, 'май': 5, 'июн': 6, 'июл': 7, 'авг': 8, 'сен': 9, 'окт': 10, 'ноя': 11, 'дек': 12,
+    'січ': 1, 'лют': 2, 'бер': 3, 'кві': 4, 'тра': 5, 'чер': 6, 'лип': 7, 'сер': 8, 'вер': 9, 'жов': 10, 'лис': 11, 'гру': 12,
+    // Greek
+    'ιαν': 1, 'φεβ': 2, 'μαρ': 3, 'απρ': 4, 'μαΐ': 5, 'μαι': 5, 'ιουν': 6, 'ιουλ': 7, 'αυγ': 8, 'σεπ': 9, 'οκτ': 10, 'νοε': 11, 'δεκ': 12,
+    // Arabic
+    'يناير': 1, 'فبراير': 2, 'مارس': 3, 'أبريل': 4, 'مايو': 5, 'يونيو': 6,
+    'يوليو': 7, 'أغسطس': 8, 'سبتمبر': 9, 'أكتوبر': 10, 'نوفمبر': 11, 'ديسمبر': 12,
+    // Hindi
+    'जन': 1, 'फ़र': 2, 'फर': 2, 'मार्च': 3, 'अप्रैल': 4, 'मई': 5, 'जून': 6,
+    'जुल': 7, 'अग': 8, 'सित': 9, 'अक्तू': 10, 'अक्टू': 10, 'नव': 11, 'दिस': 12,
+    // Thai
+    'ม.ค.': 1, 'ก.พ.': 2, 'มี.ค.': 3, 'เม.ย.': 4, 'พ.ค.': 5, 'มิ.ย.': 6,
+    'ก.ค.': 7, 'ส.ค.': 8, 'ก.ย.': 9, 'ต.ค.': 10, 'พ.ย.': 11, 'ธ.ค.': 12,
+};
+
+// Renderers that signal monetization features on a channel page
+export const MONETIZATION_RENDERERS = {
+    // Classic header sponsor button; the view model "Join" button opens the offers endpoint
+    MEMBERSHIP: ['sponsorButton', 'ypcGetOffersEndpoint'],
+    // Command of a header button that opens the membership offers (label is localized)
+    MEMBERSHIP_COMMAND: /\/ypc\/get_offers|sponsorships/i,
+    MEMBERSHIP_TIER: 'sponsorshipsTierRenderer',
+    MERCH_ITEM: 'merchandiseItemRenderer',
+    SHOPPING: ['productListItemRenderer', 'productListRenderer', 'shoppingCarouselRenderer'],
+};
+
+// Availability of a channel page
+export const CHANNEL_STATUS = {
+    ACTIVE: 'active',
+    TERMINATED: 'terminated',
+    NOT_FOUND: 'not_found',
+    AGE_RESTRICTED: 'age_restricted',
+    GEO_BLOCKED: 'geo_blocked',
+    PRIVATE: 'private',
+};
+
+// HTTP statuses YouTube answers unavailable channels with (the page still explains why)
+export const CHANNEL_UNAVAILABLE_STATUS_CODES = [404, 410];
+
+// Alert texts of unavailable channel pages in YouTube's display languages, checked in order
+// once the page structure has not told the status (see detectChannelStatus); unmatched
+// alerts fall back to not_found
+export const CHANNEL_STATUS_PATTERNS = [
+    [CHANNEL_STATUS.TERMINATED, new RegExp([
+        'terminated|suspended|removed for violating|violation of youtube',
+        'gekündigt|gesperrt|résilié|suspendu|cancelad[ao]|suspendid[ao]|encerrad[ao]|chius[oa]|sospes[oa]|beëindigd',
+        'zamknięte|zawieszone|feshedildi|askıya alındı|dihentikan|заблокирован|удален за нарушение|закрыт за нарушение',
+        '停止されて|削除されました|계정이 해지|계정이 정지|已被终止|已遭終止|已被停用',
+    ].join('|'), 'iu')],
+    [CHANNEL_STATUS.GEO_BLOCKED, new RegExp([
+        'not available in your country|blocked in your country',
+        'in deinem land nicht|in ihrem land nicht|dans votre pays|en tu país|en su país|no seu país|no teu país|nel tuo paese',
+        'in jouw land|in uw land|w twoim kraju|ülkenizde|di negara anda|в вашей стране',
+        'お住まいの国|국가에서|国家/地区|國家/地區',
+    ].join('|'), 'iu')],
+    [CHANNEL_STATUS.PRIVATE, /privat|privée|privad[ao]|privé|prywatn|gizli|pribadi|приватн|非公開|비공개|私享|私人/iu],
+    [CHANNEL_STATUS.AGE_RESTRICTED, new RegExp([
+        'age-restricted|not be appropriate for some users|sign in to confirm your age',
+        'altersbeschränk|bestätige dein alter|limite d\'âge|confirmer votre âge|restricción de edad|confirmar tu edad',
+        'restrição de idade|confirmar sua idade|limiti di età|conferma la tua età|leeftijdsbeperking|ograniczenie wiekowe',
+        'yaş sınırlaması|batasan usia|возрастные ограничения|подтвердите свой возраст|年齢制限|연령 제한|年龄限制|年齡限制',
+    ].join('|'), 'iu')],
+    [CHANNEL_STATUS.NOT_FOUND, new RegExp([
+        'does not exist|doesn\'t exist|isn\'t available|not available|no longer available',
+        'existiert nicht|n\'existe pas|no existe|não existe|non esiste|bestaat niet|nie istnieje|mevcut değil|tidak ada',
+        'не существует|存在しません|존재하지 않습니다|不存在',
+    ].join('|'), 'iu')],
+];
+
+// Kinds of social links: a profile, a single post or video on it, or a community (subreddit, Discord server)
+export const SOCIAL_LINK_TYPES = {
+    PROFILE: 'profile',
+    POST: 'post',
+    VIDEO: 'video',
+    COMMUNITY: 'community',
+    OTHER: 'other',
+};
+
+// Social platforms. Each one fills the `<name>Urls` output field and the social profiles.
+// Hosts match the hostname and its subdomains (www., m. and mobile. are ignored) and may
+// carry a path prefix ('discord.com/invite'); requiredPaths limits the field to links whose
+// first path segment is listed, and stripQuery drops query strings from it. For profiles,
+// the first path rule matching the pathname decides the link type, and its `handle` group
+// fills the profile URL template. `reserved` lists path segments that are site pages
+// rather than handles; subdomainHandle reads the handle from the subdomain.
+export const SOCIAL_PLATFORMS = {
+    youtube: {
+        hosts: ['youtube.com', 'youtu.be'],
+        paths: [
+            { pattern: /^\/(?<handle>@[\w.-]+)/, type: 'profile', profileUrl: 'https://www.youtube.com/{handle}' },
+            { pattern: /^\/channel\/(?<handle>UC[\w-]{22})/, type: 'profile', profileUrl: 'https://www.youtube.com/channel/{handle}' },
+            { pattern: /^\/(?<kind>c|user)\/(?<handle>[^/]+)/, type: 'profile', profileUrl: 'https://www.youtube.com/{kind}/{handle}' },
+            { pattern: /^\/(?:watch|shorts\/|live\/|embed\/)/, type: 'video' },
+            { pattern: /^\/[\w-]{11}\/?$/, type: 'video' }, // youtu.be short links
+            { pattern: /^\/post\//, type: 'post' },
+        ],
+    },
+    instagram: {
+        hosts: ['instagram.com', 'instagr.am'],
+        caseInsensitive: true,
+        reserved: ['explore', 'accounts', 'about', 'direct', 'developer', 'legal', 'web', 'stories'],
+        paths: [
+            { pattern: /^\/(?:p|tv)\/[\w-]+/, type: 'post' },
+            { pattern: /^\/reels?\/[\w-]+/, type: 'video' },
+            { pattern: /^\/stories\/(?<handle>[\w.]{1,30})\/\d+/, type: 'post' },
+            { pattern: /^\/(?<handle>[\w.]{1,30})\/(?:p|reel|tv)\/[\w-]+/, type: 'post' },
+            { pattern: /^\/(?:stories\/)?(?<handle>[\w.]{1,30})\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://www.instagram.com/{handle}/',
+    },
+    twitter: {
+        hosts: ['twitter.com', 'x.com'],
+        caseInsensitive: true,
+        reserved: ['home', 'i', 'intent', 'share', 'search', 'hashtag', 'explore', 'settings', 'messages', 'notifications'],
+        paths: [
+            { pattern: /^\/(?<handle>\w{1,15})\/status(?:es)?\/\d+/, type: 'post' },
+            { pattern: /^\/(?<handle>\w{1,15})\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://x.com/{handle}',
+    },
+    facebook: {
+        hosts: ['facebook.com', 'fb.com', 'fb.me'],
+        caseInsensitive: true,
+        reserved: ['watch', 'groups', 'events', 'share', 'sharer', 'sharer.php', 'story.php', 'photo.php', 'permalink.php', 'login', 'help', 'marketplace', 'gaming'],
+        paths: [
+            { pattern: /^\/profile\.php$/, type: 'profile', handleParam: 'id', profileUrl: 'https://www.facebook.com/profile.php?id={handle}' },
+            { pattern: /^\/(?<handle>[\w.-]+)\/(?:videos|reels?)\//, type: 'video' },
+            { pattern: /^\/(?<handle>[\w.-]+)\/(?:posts|photos)\//, type: 'post' },
+            { pattern: /^\/(?:watch|reel|share\/[rv])\b/, type: 'video' },
+            { pattern: /^\/groups\/(?<handle>[\w.-]+)/, type: 'community', profileUrl: 'https://www.facebook.com/groups/{handle}' },
+            { pattern: /^\/(?:pg\/)?(?<handle>[\w.-]+)\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://www.facebook.com/{handle}',
+    },
+    linkedin: {
+        hosts: ['linkedin.com'],
+        caseInsensitive: true,
+        paths: [
+            { pattern: /^\/in\/(?<handle>[^/]+)/, type: 'profile', profileUrl: 'https://www.linkedin.com/in/{handle}/' },
+            { pattern: /^\/company\/(?<handle>[^/]+)/, type: 'profile', profileUrl: 'https://www.linkedin.com/company/{handle}/' },
+            { pattern: /^\/(?:posts|feed\/update|pulse)\//, type: 'post' },
+        ],
+    },
+    pinterest: {
+        hosts: ['pinterest.com', 'pin.it'],
+        caseInsensitive: true,
+        reserved: ['search', 'ideas', 'today', 'business'],
+        paths: [
+            { pattern: /^\/pin\/\d+/, type: 'post' },
+            { pattern: /^\/(?<handle>[\w.-]{3,30})\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://www.pinterest.com/{handle}/',
+    },
+    reddit: {
+        hosts: ['reddit.com', 'redd.it'],
+        caseInsensitive: true,
+        paths: [
+            { pattern: /^\/(?:user|u)\/(?<handle>[\w-]+)\/?$/, type: 'profile', profileUrl: 'https://www.reddit.com/user/{handle}' },
+            { pattern: /^\/r\/(?<handle>\w+)\/?$/, type: 'community', profileUrl: 'https://www.reddit.com/r/{handle}' },
+            { pattern: /^\/(?:r\/\w+\/)?comments\//, type: 'post' },
+        ],
+    },
+    tumblr: {
+        hosts: ['tumblr.com'],
+        caseInsensitive: true,
+        subdomainHandle: true,
+        paths: [
+            { pattern: /^\/post\/\d+/, type: 'post' },
+            { pattern: /^\/(?:blog\/)?(?<handle>[\w-]+)\/(?:post\/)?\d+/, type: 'post' },
+            { pattern: /^\/(?:blog\/)?(?<handle>[\w-]+)?\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://www.tumblr.com/{handle}',
+    },
+    twitch: {
+        hosts: ['twitch.tv'],
+        caseInsensitive: true,
+        reserved: ['directory', 'videos', 'downloads', 'p', 'settings', 'subscriptions'],
+        paths: [
+            { pattern: /^\/videos\/\d+/, type: 'video' },
+            { pattern: /^\/(?<handle>\w{2,25})\/(?:clip|videos?)\//, type: 'video' },
+            { pattern: /^\/(?<handle>\w{2,25})\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://www.twitch.tv/{handle}',
+    },
+    onlyfans: {
+        hosts: ['onlyfans.com'],
+        caseInsensitive: true,
+        paths: [{ pattern: /^\/(?<handle>[\w.-]+)\/?$/, type: 'profile' }],
+        profileUrl: 'https://onlyfans.com/{handle}',
+    },
+    soundcloud: {
+        hosts: ['soundcloud.com'],
+        caseInsensitive: true,
+        reserved: ['discover', 'search', 'stream', 'upload', 'you'],
+        paths: [
+            { pattern: /^\/(?<handle>[\w-]+)\/(?!sets\/|likes|followers|following|reposts|tracks|albums)[\w-]+/, type: 'post' },
+            { pattern: /^\/(?<handle>[\w-]+)(?:\/(?:tracks|albums|sets|likes|reposts))?\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://soundcloud.com/{handle}',
+    },
+    discord: {
+        hosts: ['discord.gg', 'discord.com/invite'],
+        paths: [
+            { pattern: /^\/(?:invite\/)?(?<handle>[\w-]+)\/?$/, type: 'community', profileUrl: 'https://discord.gg/{handle}' },
+        ],
+    },
+    patreon: {
+        hosts: ['patreon.com'],
+        caseInsensitive: true,
+        reserved: ['posts', 'join', 'login', 'home', 'search', 'messages'],
+        paths: [
+            { pattern: /^\/posts\//, type: 'post' },
+            { pattern: /^\/(?:c\/)?(?<handle>[\w-]+)(?:\/(?:posts|about|membership|shop))?\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://www.patreon.com/{handle}',
+    },
+    github: {
+        hosts: ['github.com'],
+        caseInsensitive: true,
+        reserved: ['orgs', 'sponsors', 'topics', 'marketplace', 'features', 'about', 'settings', 'login'],
+        paths: [
+            { pattern: /^\/sponsors\/(?<handle>[\w-]+)/, type: 'profile' },
+            { pattern: /^\/(?<handle>[\w-]+)\/[\w.-]+/, type: 'other' },
+            { pattern: /^\/(?<handle>[\w-]+)\/?$/, type: 'profile' },
+        ],
+        profileUrl: 'https://github.com/{handle}',
+    },
+    tiktok: {
+        hosts: ['tiktok.com'],
+        stripQuery: true,
+        caseInsensitive: true,
+        paths: [
+            { pattern: /^\/@(?<handle>[\w.]{1,24})\/(?:video|photo)\/\d+/, type: 'video' },
+            { pattern: /^\/@(?<handle>[\w.]{1,24})\/?$/, type: 'profile' },
+            { pattern: /^\/(?:t|v)\//, type: 'video' },
+        ],
+        profileUrl: 'https://www.tiktok.com/@{handle}',
+    },
+    spotify: {
+        hosts: ['spotify.com'],
+        requiredPaths: ['user', 'artist'],
+        paths: [
+            { pattern: /^\/(?:intl-\w+\/)?(?<kind>artist|user|show)\/(?<handle>[\w.-]+)/, type: 'profile', profileUrl: 'https://open.spotify.com/{kind}/{handle}' },
+            { pattern: /^\/(?:intl-\w+\/)?(?:track|episode)\//, type: 'post' },
+        ],
+    },
+};
+
+// Paths on a channel's website that likely list contacts (contact, about, press, booking, imprint, ...)
+export const WEBSITE_CONTACT_PAGE_PATTERN = /contact|about|press|media|business|booking|enquir|inquir|collab|sponsor|partner|management|team|impressum|imprint|kontakt|contacto|contatti|mentions-legales/i;
+
+// Default limits for the website contact crawl
+export const WEBSITE_CONTACT_DEFAULTS = {
+    MAX_PAGES_PER_CHANNEL: 5,
+    MAX_DEPTH: 1,
+    DATASET_NAME: 'website-contacts',
+    QUEUE_NAME: 'website-contacts',
+};
+
+// Hosts of About links that are not a creator's own website
+export const WEBSITE_CONTACT_EXCLUDED_HOSTS = ['google.com', 'youtube.com', 'youtu.be', 'goo.gl'];
+
+// Email categories, in the order outreach works through them
+export const EMAIL_CATEGORIES = ['management', 'business', 'personal', 'general', 'support', 'noreply', 'disposable'];
+
+// Role-based local parts ("press@", "business.name@") by the category they signal
+export const ROLE_EMAIL_PREFIXES = {
+    management: ['management', 'mgmt', 'manager', 'talent', 'agent', 'booking', 'bookings', 'representation'],
+    business: ['business', 'biz', 'partnerships', 'partnership', 'partners', 'partner', 'sponsor', 'sponsors', 'sponsorship', 'sponsorships', 'collab', 'collabs', 'collaboration', 'collaborations', 'brand', 'brands', 'deals', 'marketing', 'ads', 'advertising', 'inquiries', 'enquiries', 'inquiry', 'enquiry', 'press', 'media', 'pr'],
+    general: ['info', 'contact', 'hello', 'hi', 'team', 'office', 'mail', 'admin', 'general'],
+    support: ['support', 'help', 'service', 'customerservice', 'care'],
+    noreply: ['noreply', 'no-reply', 'donotreply', 'do-not-reply'],
+};
+
+// Free-mail providers; FREE_MAIL_PROVIDERS also cover regional domains (yahoo.co.uk, gmx.de, ...)
+export const FREE_MAIL_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'msn.com',
+    'protonmail.com', 'protonmail.ch', 'proton.me', 'pm.me', 'tutanota.com', 'tuta.io', 'fastmail.com', 'hey.com',
+    'zoho.com', 'mail.com', 'web.de', 't-online.de', 'freenet.de', 'mail.ru', 'inbox.ru', 'bk.ru', 'list.ru', 'rambler.ru',
+    'qq.com', '163.com', '126.com', 'naver.com', 'hanmail.net', 'daum.net', 'libero.it', 'virgilio.it', 'orange.fr',
+    'laposte.net', 'free.fr', 'wanadoo.fr', 'seznam.cz', 'wp.pl', 'o2.pl', 'interia.pl', 'rediffmail.com', 'uol.com.br', 'bol.com.br',
+];
+export const FREE_MAIL_PROVIDERS = ['yahoo', 'ymail', 'hotmail', 'outlook', 'live', 'gmx', 'yandex'];
+
+// Single-label provider names creators write without a TLD ("name(at)gmail")
+export const BARE_FREE_MAIL_PROVIDERS = {
+    gmail: 'gmail.com',
+    hotmail: 'hotmail.com',
+    outlook: 'outlook.com',
+    yahoo: 'yahoo.com',
+    icloud: 'icloud.com',
+    protonmail: 'protonmail.com',
+};
+
+// Disposable inbox services
+export const DISPOSABLE_EMAIL_DOMAINS = [
+    'mailinator.com', 'guerrillamail.com', 'guerrillamail.net', 'sharklasers.com', '10minutemail.com', 'temp-mail.org',
+    'tempmail.com', 'yopmail.com', 'trashmail.com', 'getnada.com', 'dispostable.com', 'maildrop.cc', 'throwawaymail.com',
+    'mintemail.com', 'fakeinbox.com', 'emailondeck.com', 'mohmal.com',
+];
+
+// Talent agencies and creator management companies by email domain (extended by the talentAgencyDomains input)
+export const TALENT_AGENCY_DOMAINS = {
+    'caa.com': 'CAA',
+    'wmeagency.com': 'WME',
+    'unitedtalent.com': 'UTA',
+    'icmpartners.com': 'ICM Partners',
+    'gersh.com': 'Gersh',
+    'apa-agency.com': 'APA',
+    'paradigmagency.com': 'Paradigm',
+    'viralnation.com': 'Viral Nation',
+    'digitalbrandarchitects.com': 'Digital Brand Architects',
+    'studio71.com': 'Studio71',
+    'whalar.com': 'Whalar',
+    'loaded.gg': 'Loaded',
+    'underscoretalent.com': 'Underscore Talent',
+    'jellysmack.com': 'Jellysmack',
+};
+
+// Lookalike characters creators use to hide addresses from scrapers (Cyrillic and Greek letters)
+export const EMAIL_LOOKALIKE_CHARACTERS = {
+    'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'х': 'x', 'у': 'y', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd', 'ɡ': 'g',
+    'ο': 'o', 'α': 'a', 'ν': 'v', 'ρ': 'p', 'τ': 't', 'ι': 'i', 'κ': 'k',
+};
+
+// Phone number types (libphonenumber-js getType() values) as written to the output
+export const PHONE_NUMBER_TYPES = {
+    MOBILE: 'mobile',
+    FIXED_LINE: 'landline',
+    FIXED_LINE_OR_MOBILE: 'landline-or-mobile',
+    TOLL_FREE: 'toll-free',
+    PREMIUM_RATE: 'premium-rate',
+    SHARED_COST: 'shared-cost',
+    VOIP: 'voip',
+    PERSONAL_NUMBER: 'personal',
+    PAGER: 'pager',
+    UAN: 'uan',
+    VOICEMAIL: 'voicemail',
+};
+
+// Words (or emoji) just before a number that say it is a phone number; numbers written
+// without a + country code are only taken with one of these in front
+export const PHONE_CONTEXT_PATTERN = /(?:\b(?:tel|tele?phone|phone|ph|call|mobile|mobil|cell|whats\s?app|fax|hotline|sms|text|telefon|tél|téléphone|teléfono|telefone|telefono|handy|contact)\b|電話|전화|☎|📞|📱)[^\n\d+]{0,12}$/iu;
+
+// Default taxonomy for topic tagging: topic -> terms matched as whole words in the channel
+// keywords, description, video titles and link domains ("/pattern/flags" strings are regexes)
+export const DEFAULT_TOPIC_TAXONOMY = {
+    gaming: ['gaming', 'gameplay', "let's play", 'walkthrough', 'speedrun', 'esports', 'minecraft', 'fortnite', 'roblox', 'playstation', 'xbox', 'nintendo', 'twitch.tv', 'steampowered.com'],
+    tech: ['tech', 'technology', 'unboxing', 'smartphone', 'gadget', 'hardware', 'pc build', 'iphone', 'android', 'laptop', 'review'],
+    programming: ['programming', 'coding', 'developer', 'software', 'javascript', 'python', 'web development', 'tutorial', 'github.com', 'stackoverflow.com'],
+    beauty: ['beauty', 'makeup', 'skincare', 'cosmetics', 'hair', 'nails', 'grwm', 'sephora.com'],
+    fashion: ['fashion', 'outfit', 'style', 'haul', 'lookbook', 'streetwear'],
+    finance: ['finance', 'investing', 'stocks', 'crypto', 'bitcoin', 'trading', 'personal finance', 'money', 'real estate', 'budget'],
+    education: ['education', 'learn', 'lesson', 'course', 'lecture', 'explained', 'science', 'history', 'math', 'physics', 'coursera.org', 'udemy.com'],
+    music: ['music', 'song', 'album', 'official video', 'cover', 'remix', 'beats', 'producer', 'spotify.com', 'soundcloud.com', 'bandcamp.com'],
+    fitness: ['fitness', 'workout', 'gym', 'bodybuilding', 'yoga', 'training', 'exercise', 'nutrition'],
+    food: ['food', 'cooking', 'recipe', 'recipes', 'baking', 'chef', 'kitchen', 'mukbang'],
+    travel: ['travel', 'vlog', 'trip', 'backpacking', 'tour', 'destination', 'van life'],
+    comedy: ['comedy', 'funny', 'sketch', 'prank', 'standup', 'memes', 'parody'],
+    sports: ['sports', 'football', 'soccer', 'basketball', 'nba', 'nfl', 'cricket', 'tennis', 'highlights'],
+    news: ['news', 'politics', 'breaking', 'journalism', 'commentary', 'current events'],
+    kids: ['kids', 'children', 'nursery rhymes', 'cartoon', 'toys', 'family friendly'],
+    automotive: ['cars', 'car review', 'automotive', 'motorsport', 'racing', 'supercar', 'motorcycle'],
+};
+
+// Weight of each text source in topic scores
+export const TOPIC_SOURCE_WEIGHTS = {
+    keywords: 3,
+    description: 2,
+    videoTitles: 1,
+    linkDomains: 3,
 };
 
 // Resource patterns to block during page load
@@ -160,6 +647,17 @@ export const TIMEOUTS = {
     PAGE_LOAD: 60000,      // 1 minute
     ELEMENT_WAIT: 10000,   // 10 seconds for individual elements - increased for dynamic content
     DYNAMIC_CONTENT: 5000, // 5 seconds wait for JS-rendered content
+    TAB_NAVIGATION: 20000, // 20 seconds to open a channel tab
+};
+
+// Seconds the channel handler may need per step, for raising the handler timeout to fit the enabled options
+export const HANDLER_TIME_BUDGET = {
+    PAGE_SECS: 30,              // channel page load and waiting for its content
+    TAB_SECS: TIMEOUTS.TAB_NAVIGATION / 1000,
+    CONTINUATION_SECS: 5,       // each further page of a tab grid
+    ITEMS_PER_PAGE: 30,
+    LINK_IN_BIO_PAGE_SECS: TIMEOUTS.TAB_NAVIGATION / 1000,
+    VIDEO_DESCRIPTION_SECS: 5,
 };
 
 // Error messages
@@ -176,22 +674,114 @@ export const ERROR_MESSAGES = {
 // Regular expressions
 export const REGEX_PATTERNS = {
     TRAILING_SLASHES: /\/+$/,
-    NUMBER_EXTRACTION: /[^0-9,.]/g,
-    MULTIPLIER_EXTRACTION: /(?<=[0-9 ])[mkbtq]/i,
+    COUNT_NUMBER: /\d+(?:[.,'’ ]\d+)*/,
+    DATE_YMD: /(\d{4})\s*[./年-]\s*(\d{1,2})\s*[./月-]\s*(\d{1,2})/,
+    DATE_DMY: /(?<!\d)(\d{1,2})\s*[./-]\s*(\d{1,2})\s*[./-]\s*(\d{4})/,
     URL_QUERY_PARAM: /[?&]q=([^&]+)/,
     YOUTUBE_CHANNEL_URL: /youtube\.com\/@?([^\/]+)/,
+    CHANNEL_ID: /^UC[\w-]{22}$/,
+    CHANNEL_ID_URL: /\/channel\/(UC[\w-]{22})/,
+    HANDLE_URL: /\/(@[^/?#]+)/,
+    LEGACY_VANITY_URL: /\/(c|user)\/([^/?#]+)/,
     SUBSCRIBER_COUNT: /([0-9,.]+[KMB]?)\s*subscriber/i,
     VIEW_COUNT: /([0-9,.]+)\s*view/i,
     VIDEO_COUNT: /([0-9,.]+)\s*video/i,
 };
 
-// Number multipliers for view/subscriber counts
-export const NUMBER_MULTIPLIERS = {
-    K: 1e3,     // Thousand
-    M: 1e6,     // Million
-    B: 1e9,     // Billion
-    T: 1e12,    // Trillion
-    Q: 1e15,    // Quadrillion
+// Abbreviations YouTube uses in count texts ("1.2M", "3,4 Mio.", "12 mil", "1.2万", "2.5 lakh").
+// Keys are lowercase without trailing dots; the longest matching key wins.
+export const COUNT_UNITS = {
+    // English and shared Latin abbreviations
+    k: 1e3,
+    m: 1e6,
+    b: 1e9,
+    thousand: 1e3,
+    million: 1e6,
+    billion: 1e9,
+    mn: 1e6,
+    md: 1e9,
+    // German, Dutch, Danish, Nordic
+    tsd: 1e3,
+    mio: 1e6,
+    mrd: 1e9,
+    mia: 1e9,
+    mln: 1e6,
+    mld: 1e9,
+    tn: 1e3,
+    mill: 1e6,
+    milj: 1e6,
+    // Spanish, Portuguese, Italian, French
+    mil: 1e3,
+    'mil m': 1e9,
+    'mil millones': 1e9,
+    'mil milhões': 1e9,
+    'millón': 1e6,
+    'millones': 1e6,
+    'milhão': 1e6,
+    'milhões': 1e6,
+    mi: 1e6,
+    bi: 1e9,
+    mila: 1e3,
+    mille: 1e3,
+    // Polish, Czech, Russian, Ukrainian, Greek
+    tys: 1e3,
+    tis: 1e3,
+    'тыс': 1e3,
+    'тис': 1e3,
+    'млн': 1e6,
+    'млрд': 1e9,
+    'χιλ': 1e3,
+    'εκ': 1e6,
+    'δισ': 1e9,
+    // Arabic, Persian, Hebrew
+    'ألف': 1e3,
+    'آلاف': 1e3,
+    'مليون': 1e6,
+    'مليار': 1e9,
+    'هزار': 1e3,
+    'میلیون': 1e6,
+    'אלף': 1e3,
+    'מיליון': 1e6,
+    // Indian numbering
+    lakh: 1e5,
+    lac: 1e5,
+    crore: 1e7,
+    cr: 1e7,
+    'हज़ार': 1e3,
+    'हजार': 1e3,
+    'लाख': 1e5,
+    'करोड़': 1e7,
+    'হাজার': 1e3,
+    'লাখ': 1e5,
+    'কোটি': 1e7,
+    // Thai
+    'พัน': 1e3,
+    'หมื่น': 1e4,
+    'แสน': 1e5,
+    'ล้าน': 1e6,
+    // Chinese, Japanese, Korean
+    '千': 1e3,
+    '万': 1e4,
+    '萬': 1e4,
+    '億': 1e8,
+    '亿': 1e8,
+    '천': 1e3,
+    '만': 1e4,
+    '억': 1e8,
+};
+
+// Abbreviations whose meaning depends on the display language (keyed by language code)
+export const COUNT_UNITS_BY_LANGUAGE = {
+    tr: { b: 1e3, bin: 1e3, mn: 1e6, mr: 1e9, mlr: 1e9 },
+    id: { rb: 1e3, jt: 1e6, m: 1e9 },
+    ms: { j: 1e6 },
+    vi: { n: 1e3, tr: 1e6, t: 1e9 },
+    cs: { mil: 1e6 },
+    sk: { mil: 1e6 },
+    ro: { mii: 1e3, mil: 1e6 },
+    hu: { e: 1e3, ezer: 1e3 },
+    fi: { t: 1e3 },
+    sv: { md: 1e9 },
 };
 
 // Crawler configuration defaults
@@ -0,0 +1,440 @@
+/**
+ * Content Extractor for YouTube Channel Scraper
+ * Parses the items of channel tabs (uploads, Shorts, live streams, playlists, community posts)
+ * from ytInitialData renderers
+ */
+
+import { log } from 'apify';
+import { CHANNEL_TABS, TAB_LIMITS, ACTIVITY_STATUS, ACTIVITY_DEFAULTS } from './constants.js';
+import { collectTabItems } from './channelTabs.js';
+import * as utils from './utility.js';
+
+/**
+ * Parses video renderers of the Videos tab grid
+ * @param {Object} node - Tab content or continuation response
+ * @param {string} locale - Display language of the page (for count texts)
+ * @returns {Object[]} Parsed videos
+ */
+export function parseVideoItems(node, locale = '') {
+    return utils.findRenderers(node, 'videoRenderer')
+        .filter(video => video.videoId)
+        .map(video => {
+            const publishedText = utils.getText(video.publishedTimeText);
+            const viewCountText = utils.getText(video.viewCountText);
+            
+            return {
+                videoId: video.videoId,
+                title: utils.getText(video.title),
+                url: `https://www.youtube.com/watch?v=${video.videoId}`,
+                publishedText,
+                publishedAt: utils.parseRelativeDate(publishedText),
+                viewCount: utils.unformatNumbers(viewCountText, locale),
+                duration: utils.getText(video.lengthText),
+                thumbnailUrl: utils.getLargestThumbnail(video.thumbnail),
+            };
+        });
+}
+
+/**
+ * Extracts the most recent uploads from the channel's Videos tab
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {number} maxItems - Maximum number of uploads to return
+ * @returns {Promise<Object[]>} Recent uploads, newest first
+ */
+export async function extractRecentUploads(loader, maxItems = TAB_LIMITS.DEFAULT_MAX_ITEMS) {
+    try {
+        return await collectTabItems(loader, CHANNEL_TABS.VIDEOS, parseVideoItems, {
+            idField: 'videoId',
+            maxItems,
+        });
+    } catch (error) {
+        log.warning(`Failed to extract recent uploads: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Parses Shorts from both the legacy reel renderer and the newer lockup view model
+ * @param {Object} node - Tab content or continuation response
+ * @param {string} locale - Display language of the page (for count texts)
+ * @returns {Object[]} Parsed Shorts
+ */
+export function parseShortsItems(node, locale = '') {
+    const reels = utils.findRenderers(node, 'reelItemRenderer').map(reel => ({
+        videoId: reel.videoId,
+        title: utils.getText(reel.headline),
+        viewCountText: utils.getText(reel.viewCountText),
+        thumbnail: reel.thumbnail,
+    }));
+    
+    const lockups = utils.findRenderers(node, 'shortsLockupViewModel').map(lockup => ({
+        videoId: lockup.onTap?.innertubeCommand?.reelWatchEndpoint?.videoId ||
+                 lockup.entityId?.replace('shorts-shelf-item-', ''),
+        title: utils.getText(lockup.overlayMetadata?.primaryText),
+        viewCountText: utils.getText(lockup.overlayMetadata?.secondaryText),
+        thumbnail: lockup.thumbnail,
+    }));
+    
+    return [...reels, ...lockups]
+        .filter(short => short.videoId)
+        .map(short => ({
+            videoId: short.videoId,
+            title: short.title,
+            url: `https://www.youtube.com/shorts/${short.videoId}`,
+            viewCount: utils.unformatNumbers(short.viewCountText, locale),
+            thumbnailUrl: utils.getLargestThumbnail(short.thumbnail),
+        }));
+}
+
+/**
+ * Determines whether a stream is live now, upcoming or already finished
+ * @param {Object} video - videoRenderer of the Live tab
+ * @returns {string} 'live', 'upcoming' or 'completed'
+ */
+function getStreamStatus(video) {
+    if (video.upcomingEventData) return 'upcoming';
+    
+    const overlayStyles = (video.thumbnailOverlays || [])
+        .map(overlay => overlay.thumbnailOverlayTimeStatusRenderer?.style)
+        .filter(Boolean);
+    const badgeStyles = (video.badges || [])
+        .map(badge => badge.metadataBadgeRenderer?.style)
+        .filter(Boolean);
+    
+    if (overlayStyles.includes('LIVE') || badgeStyles.includes('BADGE_STYLE_TYPE_LIVE_NOW')) {
+        return 'live';
+    }
+    if (overlayStyles.includes('UPCOMING')) return 'upcoming';
+    
+    return 'completed';
+}
+
+/**
+ * Parses past, current and upcoming streams of the Live tab
+ * @param {Object} node - Tab content or continuation response
+ * @param {string} locale - Display language of the page (for count texts)
+ * @returns {Object[]} Parsed live streams
+ */
+export function parseLiveItems(node, locale = '') {
+    return utils.findRenderers(node, 'videoRenderer')
+        .filter(video => video.videoId)
+        .map(video => {
+            const status = getStreamStatus(video);
+            const viewCountText = utils.getText(video.viewCountText);
+            const publishedText = utils.getText(video.publishedTimeText);
+            const startTime = Number(video.upcomingEventData?.startTime);
+            
+            return {
+                videoId: video.videoId,
+                title: utils.getText(video.title),
+                url: `https://www.youtube.com/watch?v=${video.videoId}`,
+                status,
+                scheduledStartTime: startTime ? new Date(startTime * 1000).toISOString() : null,
+                concurrentViewers: status === 'live' ? utils.unformatNumbers(viewCountText, locale) : null,
+                viewCount: status === 'completed' ? utils.unformatNumbers(viewCountText, locale) : null,
+                publishedText,
+                publishedAt: utils.parseRelativeDate(publishedText),
+                duration: utils.getText(video.lengthText),
+                replayAvailable: status === 'completed' && !!video.lengthText,
+                thumbnailUrl: utils.getLargestThumbnail(video.thumbnail),
+            };
+        });
+}
+
+/**
+ * Extracts Shorts from the channel's Shorts tab
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {number} maxItems - Maximum number of Shorts to return
+ * @returns {Promise<Object[]>} Shorts, newest first
+ */
+export async function extractShorts(loader, maxItems = TAB_LIMITS.DEFAULT_MAX_ITEMS) {
+    try {
+        return await collectTabItems(loader, CHANNEL_TABS.SHORTS, parseShortsItems, {
+            idField: 'videoId',
+            maxItems,
+        });
+    } catch (error) {
+        log.warning(`Failed to extract Shorts: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Extracts live streams from the channel's Live tab
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {number} maxItems - Maximum number of streams to return
+ * @returns {Promise<Object[]>} Live, upcoming and past streams
+ */
+export async function extractLiveStreams(loader, maxItems = TAB_LIMITS.DEFAULT_MAX_ITEMS) {
+    try {
+        return await collectTabItems(loader, CHANNEL_TABS.LIVE, parseLiveItems, {
+            idField: 'videoId',
+            maxItems,
+        });
+    } catch (error) {
+        log.warning(`Failed to extract live streams: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Parses playlists from both the legacy grid renderer and the newer lockup view model
+ * @param {Object} node - Tab content or continuation response
+ * @param {string} locale - Display language of the page (for count texts)
+ * @returns {Object[]} Parsed playlists
+ */
+export function parsePlaylistItems(node, locale = '') {
+    const gridPlaylists = utils.findRenderers(node, 'gridPlaylistRenderer').map(playlist => ({
+        playlistId: playlist.playlistId,
+        title: utils.getText(playlist.title),
+        videoCountText: utils.getText(playlist.videoCountText) || utils.getText(playlist.videoCountShortText),
+        lastUpdatedText: utils.getText(playlist.publishedTimeText),
+        thumbnail: playlist.thumbnail ||
+                   playlist.thumbnailRenderer?.playlistVideoThumbnailRenderer?.thumbnail,
+    }));
+    
+    const lockupPlaylists = utils.findRenderers(node, 'lockupViewModel')
+        .filter(lockup => lockup.contentType === 'LOCKUP_CONTENT_TYPE_PLAYLIST')
+        .map(lockup => {
+            const thumbnailViewModel = lockup.contentImage?.collectionThumbnailViewModel
+                ?.primaryThumbnail?.thumbnailViewModel;
+            const badgeTexts = utils.findRenderers(thumbnailViewModel?.overlays, 'thumbnailBadgeViewModel')
+                .map(badge => badge.text || '');
+            const metadataParts = (lockup.metadata?.lockupMetadataViewModel?.metadata
+                ?.contentMetadataViewModel?.metadataRows || [])
+                .flatMap(row => row.metadataParts || []);
+            // The channel name and "View full playlist" parts are links; the last-updated text is plain,
+            // which holds in every display language
+            const lastUpdatedPart = metadataParts.find(part => utils.getText(part.text) && !part.text.commandRuns);
+            
+            return {
+                playlistId: lockup.contentId,
+                title: utils.getText(lockup.metadata?.lockupMetadataViewModel?.title),
+                videoCountText: badgeTexts.find(text => /\d/.test(text)) || '',
+                lastUpdatedText: utils.getText(lastUpdatedPart?.text) || '',
+                thumbnail: thumbnailViewModel?.image,
+            };
+        });
+    
+    return [...gridPlaylists, ...lockupPlaylists]
+        .filter(playlist => playlist.playlistId)
+        .map(playlist => ({
+            playlistId: playlist.playlistId,
+            title: playlist.title,
+            url: `https://www.youtube.com/playlist?list=${playlist.playlistId}`,
+            videoCount: utils.unformatNumbers(playlist.videoCountText, locale),
+            lastUpdatedText: playlist.lastUpdatedText,
+            thumbnailUrl: utils.getLargestThumbnail(playlist.thumbnail),
+        }));
+}
+
+/**
+ * Extracts public playlists from the channel's Playlists tab
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {number} maxItems - Maximum number of playlists to return
+ * @returns {Promise<Object[]>} Playlists
+ */
+export async function extractPlaylists(loader, maxItems = TAB_LIMITS.DEFAULT_MAX_ITEMS) {
+    try {
+        return await collectTabItems(loader, CHANNEL_TABS.PLAYLISTS, parsePlaylistItems, {
+            idField: 'playlistId',
+            maxItems,
+        });
+    } catch (error) {
+        log.warning(`Failed to extract playlists: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Counts the images attached to a community post
+ * @param {Object} attachment - backstageAttachment of a post
+ * @returns {number} Number of images
+ */
+function countPostImages(attachment) {
+    if (!attachment) return 0;
+    if (attachment.postMultiImageRenderer) return attachment.postMultiImageRenderer.images?.length || 0;
+    if (attachment.backstageImageRenderer) return 1;
+    return 0;
+}
+
+/**
+ * Parses community posts of the Community (Posts) tab
+ * @param {Object} node - Tab content or continuation response
+ * @param {string} locale - Display language of the page (for count texts)
+ * @returns {Object[]} Parsed posts
+ */
+export function parseCommunityPosts(node, locale = '') {
+    return utils.findRenderers(node, 'backstagePostRenderer')
+        .filter(post => post.postId)
+        .map(post => {
+            const runs = post.contentText?.runs || [];
+            const links = runs
+                .map(run => run.navigationEndpoint?.urlEndpoint?.url)
+                .filter(Boolean)
+                .map(url => utils.resolveRedirectUrl(url));
+            const publishedText = utils.getText(post.publishedTimeText);
+            const replyButton = post.actionButtons?.commentActionButtonsRenderer?.replyButton?.buttonRenderer;
+            
+            return {
+                postId: post.postId,
+                url: `https://www.youtube.com/post/${post.postId}`,
+                text: utils.getText(post.contentText),
+                links: [...new Set(links)],
+                pollOptions: (post.backstageAttachment?.pollRenderer?.choices || [])
+                    .map(choice => utils.getText(choice.text)),
+                imageCount: countPostImages(post.backstageAttachment),
+                likeCount: utils.unformatNumbers(utils.getText(post.voteCount), locale),
+                commentCount: utils.unformatNumbers(utils.getText(replyButton?.text), locale),
+                publishedText,
+                publishedAt: utils.parseRelativeDate(publishedText),
+            };
+        });
+}
+
+/**
+ * Extracts community posts from the channel's Community (Posts) tab
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {number} maxItems - Maximum number of posts to return
+ * @returns {Promise<Object[]>} Posts, newest first
+ */
+export async function extractCommunityPosts(loader, maxItems = TAB_LIMITS.DEFAULT_MAX_ITEMS) {
+    try {
+        return await collectTabItems(loader, CHANNEL_TABS.COMMUNITY, parseCommunityPosts, {
+            idField: 'postId',
+            maxItems,
+        });
+    } catch (error) {
+        log.warning(`Failed to extract community posts: ${error.message}`);
+        return [];
+    }
+}
+
+/**
+ * Derives counts across the collected content streams.
+ * Counts only cover the items collected in this run, not the channel's full catalogue.
+ * @param {Object} content - Collected content
+ * @param {Object[]} content.recentVideos - Long-form uploads (if collected)
+ * @param {Object[]} content.shorts - Shorts (if collected)
+ * @param {Object[]} content.liveStreams - Live streams (if collected)
+ * @returns {Object} Content statistics
+ */
+export function computeContentStats({ recentVideos, shorts, liveStreams }) {
+    const longformCount = recentVideos ? recentVideos.length : null;
+    const shortsCount = shorts ? shorts.length : null;
+    
+    return {
+        longformCount,
+        shortsCount,
+        liveStreamCount: liveStreams ? liveStreams.length : null,
+        upcomingStreamCount: liveStreams ? liveStreams.filter(stream => stream.status === 'upcoming').length : null,
+        isLiveNow: liveStreams ? liveStreams.some(stream => stream.status === 'live') : null,
+        shortsToLongformRatio: longformCount && shortsCount !== null
+            ? Math.round((shortsCount / longformCount) * 100) / 100
+            : null,
+    };
+}
+
+/**
+ * Computes the median of a list of numbers
+ * @param {number[]} values - Numbers
+ * @returns {number|null} Median or null for an empty list
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Derives upload cadence and activity from the recent uploads (newest first).
+ * Publish dates are approximate (from "3 weeks ago" texts), and weekly rates are lower
+ * bounds when the upload cap is reached inside the window.
+ * @param {Object[]} recentVideos - Recent uploads
+ * @param {number} subscriberCount - Channel subscriber count
+ * @param {Object} options - Thresholds from input
+ * @param {number} options.activeWithinDays - Last upload at most this many days ago counts as active
+ * @param {number} options.dormantAfterDays - Last upload more than this many days ago counts as dormant
+ * @param {number} options.medianViewsSampleSize - Number of latest uploads the median views are taken over
+ * @param {Date} now - Reference date
+ * @returns {Object} Activity statistics
+ */
+export function computeActivityStats(recentVideos, subscriberCount, {
+    activeWithinDays = ACTIVITY_DEFAULTS.ACTIVE_WITHIN_DAYS,
+    dormantAfterDays = ACTIVITY_DEFAULTS.DORMANT_AFTER_DAYS,
+    medianViewsSampleSize = ACTIVITY_DEFAULTS.MEDIAN_VIEWS_SAMPLE_SIZE,
+} = {}, now = new Date()) {
+    const publishDates = recentVideos.map(video => video.publishedAt).filter(Boolean).sort().reverse();
+    const uploadAges = publishDates.map(date => utils.daysSince(date, now));
+    const daysSinceLastUpload = uploadAges.length > 0 ? uploadAges[0] : null;
+    
+    const uploadsPerWeek = (windowDays) => (uploadAges.length > 0
+        ? Math.round((uploadAges.filter(days => days <= windowDays).length / (windowDays / 7)) * 100) / 100
+        : null);
+    
+    const sample = recentVideos.slice(0, medianViewsSampleSize).map(video => video.viewCount);
+    const medianViews = median(sample.filter(Number.isFinite));
+    
+    let activityStatus = null;
+    if (daysSinceLastUpload !== null) {
+        if (daysSinceLastUpload <= activeWithinDays) activityStatus = ACTIVITY_STATUS.ACTIVE;
+        else if (daysSinceLastUpload > dormantAfterDays) activityStatus = ACTIVITY_STATUS.DORMANT;
+        else activityStatus = ACTIVITY_STATUS.SLOWING;
+    }
+    
+    return {
+        lastUploadDate: publishDates.length > 0 ? publishDates[0].slice(0, 10) : null,
+        daysSinceLastUpload,
+        uploadsPerWeek30d: uploadsPerWeek(30),
+        uploadsPerWeek90d: uploadsPerWeek(90),
+        medianViews,
+        medianViewsSampleSize: sample.length,
+        viewsPerSubscriber: medianViews !== null && subscriberCount > 0
+            ? Math.round((medianViews / subscriberCount) * 10000) / 10000
+            : null,
+        activityStatus,
+    };
+}
+
+/**
+ * Collects every enabled content stream of a channel
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {Object} options - Extraction options from input
+ * @returns {Promise<Object>} Content streams keyed by output field; disabled streams are omitted
+ */
+export async function extractChannelContent(loader, options = {}) {
+    const content = {};
+    
+    if (options.includeRecentVideos) {
+        content.recentVideos = await extractRecentUploads(loader, options.maxRecentVideos);
+        log.info(`Collected ${content.recentVideos.length} recent uploads`);
+    }
+    
+    if (options.includeShorts) {
+        content.shorts = await extractShorts(loader, options.maxShorts);
+        log.info(`Collected ${content.shorts.length} Shorts`);
+    }
+    
+    if (options.includeLiveStreams) {
+        content.liveStreams = await extractLiveStreams(loader, options.maxLiveStreams);
+        log.info(`Collected ${content.liveStreams.length} live streams`);
+    }
+    
+    if (Object.keys(content).length > 0) {
+        content.contentStats = computeContentStats(content);
+    }
+    
+    if (options.includePlaylists) {
+        content.playlists = await extractPlaylists(loader, options.maxPlaylists);
+        log.info(`Collected ${content.playlists.length} playlists`);
+    }
+    
+    if (options.includeCommunityPosts) {
+        content.communityPosts = await extractCommunityPosts(loader, options.maxCommunityPosts);
+        log.info(`Collected ${content.communityPosts.length} community posts`);
+    }
+    
+    return content;
+}
@@ -0,0 +1,131 @@
+/**
+ * Channel Discovery for YouTube Channel Scraper
+ * Reads featured channels (Channels tab and home-tab shelves) and enqueues them
+ * as new channels to crawl, bounded by depth and a channel budget
+ */
+
+import { log } from 'apify';
+import { CHANNEL_TABS } from './constants.js';
+import { collectTabItems } from './channelTabs.js';
+import * as utils from './utility.js';
+
+/**
+ * Parses channel renderers (grid items on the Channels tab, shelf items on the home tab)
+ * @param {Object} node - ytInitialData subtree
+ * @returns {Object[]} Featured channels
+ */
+export function parseFeaturedChannels(node) {
+    const renderers = [
+        ...utils.findRenderers(node, 'gridChannelRenderer'),
+        ...utils.findRenderers(node, 'channelRenderer'),
+    ];
+    
+    return renderers
+        .filter(channel => channel.channelId)
+        .map(channel => {
+            const canonicalPath = channel.navigationEndpoint?.browseEndpoint?.canonicalBaseUrl;
+            
+            return {
+                channelId: channel.channelId,
+                channelName: utils.getText(channel.title),
+                channelURL: canonicalPath
+                    ? `https://www.youtube.com${canonicalPath}`
+                    : `https://www.youtube.com/channel/${channel.channelId}`,
+            };
+        });
+}
+
+/**
+ * Collects featured channels from the home-tab shelves and the Channels tab
+ * @param {Object} loader - Tab loader (see channelTabs.js); fetches the Channels tab through the InnerTube client
+ * @param {Object} homeYtData - ytInitialData of the channel page that was already loaded
+ * @param {number} maxItems - Maximum number of channels to read from the Channels tab
+ * @returns {Promise<Object[]>} Unique featured channels
+ */
+export async function extractFeaturedChannels(loader, homeYtData, maxItems = 100) {
+    const ownChannelId = homeYtData?.metadata?.channelMetadataRenderer?.externalId;
+    let tabChannels = [];
+    
+    try {
+        tabChannels = await collectTabItems(loader, CHANNEL_TABS.CHANNELS, parseFeaturedChannels, {
+            idField: 'channelId',
+            maxItems,
+        });
+    } catch (error) {
+        log.warning(`Failed to extract Channels tab: ${error.message}`);
+    }
+    
+    const channels = new Map();
+    for (const channel of [...parseFeaturedChannels(homeYtData?.contents), ...tabChannels]) {
+        if (channel.channelId !== ownChannelId && !channels.has(channel.channelId)) {
+            channels.set(channel.channelId, channel);
+        }
+    }
+    
+    return Array.from(channels.values());
+}
+
+/**
+ * Creates a discovery tracker shared by all page handlers of a run
+ * @param {Object} options - Discovery limits
+ * @param {number} options.maxDepth - How many hops away from the seed channels to follow
+ * @param {number} options.maxChannels - Maximum number of channels discovery may add to the queue
+ * @returns {Object} Tracker with an enqueue method
+ */
+export function createChannelDiscovery({ maxDepth = 1, maxChannels = 50 } = {}) {
+    const seenChannelIds = new Set();
+    let enqueuedCount = 0;
+    
+    return {
+        maxDepth,
+        
+        /**
+         * Marks a crawled channel as known so discovery does not queue it again
+         * @param {string} channelId - Channel ID
+         */
+        markSeen(channelId) {
+            if (channelId) seenChannelIds.add(channelId);
+        },
+        
+        /**
+         * Enqueues featured channels of a crawled channel
+         * @param {Object} requestQueue - Crawlee RequestQueue
+         * @param {Object[]} channels - Featured channels of the parent
+         * @param {Object} parent - Parent channel
+         * @param {string} parent.channelURL - URL of the parent channel
+         * @param {string} parent.channelId - Channel ID of the parent channel
+         * @param {number} parent.depth - Depth of the parent channel (seeds are 0)
+         * @returns {Promise<number>} Number of channels added to the queue
+         */
+        async enqueue(requestQueue, channels, { channelURL, channelId = null, depth = 0 }) {
+            if (depth >= maxDepth) return 0;
+            
+            let added = 0;
+            for (const channel of channels) {
+                if (enqueuedCount >= maxChannels) {
+                    log.info(`Channel discovery budget of ${maxChannels} reached`);
+                    break;
+                }
+                if (seenChannelIds.has(channel.channelId)) continue;
+                seenChannelIds.add(channel.channelId);
+                
+                const { wasAlreadyPresent } = await requestQueue.addRequest({
+                    url: channel.channelURL,
+                    userData: {
+                        channelUrl: channel.channelURL,
+                        depth: depth + 1,
+                        discoveredFrom: channelURL,
+                        discoveredFromChannelId: channelId,
+                    },
+                });
+                
+                if (!wasAlreadyPresent) {
+                    enqueuedCount++;
+                    added++;
+                }
+            }
+            
+            return added;
+        },
+    };
+}
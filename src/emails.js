@@ -0,0 +1,222 @@
+/**
+ * Email pipeline for YouTube Channel Scraper
+ * Finds addresses creators obfuscate ("name [at] domain [dot] com", "name(at)gmail",
+ * lookalike characters), validates them and classifies each one (role-based or personal,
+ * free-mail or custom domain, talent agency, disposable) for outreach
+ */
+
+import { social } from 'crawlee';
+import {
+    EMAIL_CATEGORIES,
+    ROLE_EMAIL_PREFIXES,
+    FREE_MAIL_DOMAINS,
+    FREE_MAIL_PROVIDERS,
+    BARE_FREE_MAIL_PROVIDERS,
+    DISPOSABLE_EMAIL_DOMAINS,
+    TALENT_AGENCY_DOMAINS,
+    EMAIL_LOOKALIKE_CHARACTERS,
+} from './constants.js';
+
+// "[at]", "(at)", "{at}", "<at>", "[@]" and the same for dots
+const BRACKETED_AT = /\s*[[({<]\s*(?:at|@)\s*[\])}>]\s*/gi;
+const BRACKETED_DOT = /\s*[[({<]\s*(?:dot|\.)\s*[\])}>]\s*/gi;
+
+// Spelled-out dots next to an "@" (one from "[at]" included): "jane dot doe@domain dot com".
+// Unbracketed "at" is left alone: in prose ("meet at school dot com") it is not an address.
+const SPELLED_OUT_LOCAL_DOTS = /[\w+-]+(?:\s+(?:dot|DOT)\s+[\w+-]+)+(?=@)/g;
+const SPELLED_OUT_DOMAIN_DOTS = /(?<=[\w.+-]@)[\w-]+(?:\s+(?:dot|DOT)\s+[\w-]+)+/g;
+
+// Local part and domain label syntax (RFC 5321 without quoted local parts)
+const LOCAL_PART = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(?:\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+const TOP_LEVEL_DOMAIN = /^(?:[a-z]{2,24}|xn--[a-z0-9-]{1,59})$/;
+
+// Image names like "logo@2x.png" look like addresses
+const FILE_EXTENSION_TLDS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'svg', 'css', 'js', 'mp4'];
+
+/**
+ * Undoes common address obfuscation so plain email matching finds the addresses
+ * @param {string} text - Text that may contain obfuscated addresses
+ * @returns {string} Text with addresses written out
+ */
+export function deobfuscateEmailText(text) {
+    if (!text || typeof text !== 'string') return '';
+    
+    return text
+        // Fullwidth "＠" and "．" and other compatibility forms
+        .normalize('NFKC')
+        .replace(/[\u200B-\u200D\u2060\uFEFF]/g, '')
+        .replace(BRACKETED_AT, '@')
+        .replace(BRACKETED_DOT, '.')
+        .replace(/([\w.+-])\s+@\s+([\w-])/g, '$1@$2')
+        .replace(SPELLED_OUT_LOCAL_DOTS, match => match.replace(/\s+(?:dot|DOT)\s+/g, '.'))
+        .replace(SPELLED_OUT_DOMAIN_DOTS, match => match.replace(/\s+(?:dot|DOT)\s+/g, '.'))
+        .replace(/@[\w-]+(?:\s+\.\s+[\w-]+)+/g, match => match.replace(/\s+/g, ''))
+        // Lookalike letters only inside address-like tokens that also use Latin letters
+        .replace(/\S*@\S*/g, token => (/[a-z]/i.test(token)
+            ? [...token].map(char => EMAIL_LOOKALIKE_CHARACTERS[char] || char).join('')
+            : token));
+}
+
+/**
+ * Checks the syntax of an address
+ * @param {string} email - Lowercase address
+ * @returns {boolean} Whether the address is syntactically valid
+ */
+export function isValidEmail(email) {
+    if (typeof email !== 'string' || email.length > 254) return false;
+    
+    const [local, domain, ...rest] = email.split('@');
+    if (rest.length > 0 || !local || !domain || local.length > 64) return false;
+    
+    const labels = domain.split('.');
+    const tld = labels[labels.length - 1];
+    return LOCAL_PART.test(local)
+        && labels.length >= 2
+        && labels.every(label => DOMAIN_LABEL.test(label))
+        && TOP_LEVEL_DOMAIN.test(tld)
+        && !FILE_EXTENSION_TLDS.includes(tld);
+}
+
+/**
+ * Normalizes an address: lowercase, no mailto: or surrounding punctuation, a TLD for
+ * bare free-mail providers ("name@gmail")
+ * @param {string} email - Address as found
+ * @returns {string|null} Normalized address or null if it is not valid
+ */
+export function normalizeEmail(email) {
+    if (!email || typeof email !== 'string') return null;
+    
+    let normalized = deobfuscateEmailText(email)
+        .trim()
+        .toLowerCase()
+        .replace(/^mailto:/, '')
+        .split('?')[0]
+        .replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '');
+    
+    const [local, domain] = normalized.split('@');
+    if (domain && BARE_FREE_MAIL_PROVIDERS[domain]) {
+        normalized = `${local}@${BARE_FREE_MAIL_PROVIDERS[domain]}`;
+    }
+    
+    return isValidEmail(normalized) ? normalized : null;
+}
+
+/**
+ * Finds the valid addresses in a text, including obfuscated ones
+ * @param {string} text - Text to search
+ * @returns {string[]} Unique normalized addresses
+ */
+export function extractEmails(text) {
+    const deobfuscated = deobfuscateEmailText(text);
+    if (!deobfuscated) return [];
+    
+    // Bare providers ("name@gmail") are not matched as addresses without a TLD
+    const withProviderTlds = deobfuscated.replace(
+        /@([a-z]+)\b(?!\.[a-z])/gi,
+        (match, provider) => (BARE_FREE_MAIL_PROVIDERS[provider.toLowerCase()] ? `@${BARE_FREE_MAIL_PROVIDERS[provider.toLowerCase()]}` : match),
+    );
+    
+    return [...new Set(social.emailsFromText(withProviderTlds).map(normalizeEmail).filter(Boolean))];
+}
+
+/**
+ * Finds the role a local part signals ("press", "business.name", "mgmt_team")
+ * @param {string} local - Local part
+ * @returns {string|null} Role category (see ROLE_EMAIL_PREFIXES) or null for personal addresses
+ */
+function findRole(local) {
+    const base = local.split('+')[0];
+    const tokens = base.split(/[._-]/);
+    
+    for (const [role, prefixes] of Object.entries(ROLE_EMAIL_PREFIXES)) {
+        const matches = prefixes.some(prefix => base === prefix
+            || tokens.includes(prefix)
+            // Longer words are distinctive enough inside a name ("mrbeastbusiness")
+            || (prefix.length >= 5 && (base.startsWith(prefix) || base.endsWith(prefix))));
+        if (matches) return role;
+    }
+    return null;
+}
+
+/**
+ * Creates an email classifier
+ * @param {Object} options - Classifier options
+ * @param {string[]} options.agencyDomains - Talent agency domains added to TALENT_AGENCY_DOMAINS
+ * @returns {Object} Classifier with classify and collect methods
+ */
+export function createEmailClassifier({ agencyDomains = [] } = {}) {
+    const agencies = { ...TALENT_AGENCY_DOMAINS };
+    for (const domain of agencyDomains) {
+        const normalized = String(domain).trim().toLowerCase().replace(/^@/, '');
+        if (normalized && !agencies[normalized]) agencies[normalized] = normalized;
+    }
+    
+    /**
+     * Finds the entry of a domain or its parent domain in a lookup
+     * @param {string} domain - Email domain
+     * @param {Function} lookup - Returns a value for a known domain
+     * @returns {*} Lookup value or undefined
+     */
+    const findDomain = (domain, lookup) => {
+        const labels = domain.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const value = lookup(labels.slice(i).join('.'));
+            if (value) return value;
+        }
+        return undefined;
+    };
+    
+    return {
+        /**
+         * Classifies an address
+         * @param {string} email - Normalized address
+         * @returns {Object} { email, domain, role, isRoleBased, isFreeMail, isCustomDomain, isAgency, agency, isDisposable, category }
+         */
+        classify(email) {
+            const [local, domain] = email.split('@');
+            const role = findRole(local);
+            const agency = findDomain(domain, candidate => agencies[candidate]) || null;
+            const isFreeMail = FREE_MAIL_DOMAINS.includes(domain) || FREE_MAIL_PROVIDERS.includes(domain.split('.')[0]);
+            const isDisposable = Boolean(findDomain(domain, candidate => DISPOSABLE_EMAIL_DOMAINS.includes(candidate)));
+            
+            let category;
+            if (isDisposable) category = 'disposable';
+            else if (agency || role === 'management') category = 'management';
+            else category = role || 'personal';
+            
+            return {
+                email,
+                domain,
+                role,
+                isRoleBased: role !== null,
+                isFreeMail,
+                isCustomDomain: !isFreeMail && !isDisposable,
+                isAgency: agency !== null,
+                agency,
+                isDisposable,
+                category,
+            };
+        },
+        
+        /**
+         * Classifies the addresses found on a channel, merged across the pages they were
+         * found on and ordered by category (management first)
+         * @param {Object[]} sources - Address sources { emails, foundIn } (foundIn is the page the addresses are on)
+         * @returns {Object[]} Classified addresses with foundIn
+         */
+        collect(sources) {
+            const emails = new Map();
+            for (const { emails: found = [], foundIn } of sources) {
+                for (const email of found.map(normalizeEmail).filter(Boolean)) {
+                    if (!emails.has(email)) emails.set(email, { ...this.classify(email), foundIn: [] });
+                    const entry = emails.get(email);
+                    if (foundIn && !entry.foundIn.includes(foundIn)) entry.foundIn.push(foundIn);
+                }
+            }
+            
+            return [...emails.values()]
+                .sort((a, b) => EMAIL_CATEGORIES.indexOf(a.category) - EMAIL_CATEGORIES.indexOf(b.category));
+        },
+    };
+}
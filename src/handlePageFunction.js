@@ -1,12 +1,26 @@
 /**
  * Page handler for YouTube Channel Scraper
- * Extracts channel information from YouTube about pages
+ * Extracts channel information from YouTube channel pages and the About modal
  */
 
-import { Actor, log } from 'apify';
-import { social } from 'crawlee';
+import { log } from 'apify';
 import * as constants from './constants.js';
 import * as utils from './utility.js';
+import { createPageTabLoader, findTabEndpoint } from './channelTabs.js';
+import {
+    extractAboutData,
+    extractChannelMetadata,
+    extractChannelIdentity,
+    extractHeaderCounts,
+    detectChannelStatus,
+} from './channelParser.js';
+import {
+    buildChannelRecord,
+    buildUnavailableChannelRecord,
+    saveChannelRecord,
+    claimChannel,
+    releaseChannel,
+} from './channelRecord.js';
 
 /**
  * Extracts data from YouTube's ytInitialData object
@@ -36,90 +50,6 @@ async function extractYouTubeData(page) {
     }
 }
 
-/**
- * Extracts channel metadata from ytInitialData
- * @param {Object} ytData - YouTube's initial data object
- * @returns {Object} Extracted channel metadata
- */
-function extractChannelMetadata(ytData) {
-    const metadata = {
-        channelName: '',
-        subscriberCount: '',
-        videoCount: '',
-        description: '',
-        joinedDate: '',
-        viewCount: '',
-        location: '',
-        links: []
-    };
-    
-    try {
-        // Try to find channel header data
-        const header = ytData?.header?.c4TabbedHeaderRenderer || 
-                      ytData?.header?.pageHeaderRenderer?.content?.pageHeaderViewModel;
-        
-        if (header) {
-            // Extract channel name from various possible locations
-            metadata.channelName = header.title || 
-                                 header.title?.simpleText || 
-                                 header.dynamicTextViewModel?.text?.content ||
-                                 '';
-            
-            // Extract subscriber count
-            metadata.subscriberCount = header.subscriberCountText?.simpleText || 
-                                     header.subscriberCountText?.runs?.[0]?.text ||
-                                     '';
-            
-            // Debug: Log what we found
-            log.info('Extracted from ytInitialData:', {
-                subscriberCountText: header.subscriberCountText,
-                videosCountText: header.videosCountText,
-                subscriberCount: metadata.subscriberCount,
-                videoCount: metadata.videoCount,
-                channelName: metadata.channelName
-            });
-            
-            // Extract video count
-            metadata.videoCount = header.videosCountText?.runs?.[0]?.text || 
-                                header.videosCount?.simpleText ||
-                                '';
-        }
-        
-        // Try to find about page data - handle both main page and about page
-        const tabs = ytData?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
-        const aboutTab = tabs.find(tab => 
-            tab?.tabRenderer?.title === 'About' || 
-            tab?.tabRenderer?.content?.sectionListRenderer ||
-            tab?.tabRenderer?.selected
-        );
-        
-        if (aboutTab) {
-            const aboutData = aboutTab?.tabRenderer?.content?.sectionListRenderer?.contents?.[0]
-                ?.itemSectionRenderer?.contents?.[0]?.channelAboutFullMetadataRenderer;
-            
-            if (aboutData) {
-                metadata.description = aboutData.description?.simpleText || '';
-                metadata.location = aboutData.country?.simpleText || '';
-                metadata.joinedDate = aboutData.joinedDateText?.runs?.[1]?.text || '';
-                metadata.viewCount = aboutData.viewCountText?.simpleText || '';
-                
-                // Extract links
-                const primaryLinks = aboutData.primaryLinks || [];
-                const otherLinks = aboutData.otherLinks || [];
-                metadata.links = [...primaryLinks, ...otherLinks].map(link => ({
-                    title: link.title?.simpleText || '',
-                    url: link.navigationEndpoint?.urlEndpoint?.url || ''
-                }));
-            }
-        }
-        
-    } catch (error) {
-        log.debug('Error parsing YouTube data structure:', error.message);
-    }
-    
-    return metadata;
-}
-
 /**
  * Checks for CAPTCHA presence on the page
  * @param {Object} page - Puppeteer page instance
@@ -209,12 +139,12 @@ async function waitForContent(page) {
         // Wait a bit more after scroll
         await new Promise(resolve => setTimeout(resolve, 2000));
         
-        // Wait for any formatted string that might contain subscriber info
+        // Wait for the header counts (matched by element, not by the localized "subscribers" label)
         await page.waitForFunction(
             () => {
-                const elements = document.querySelectorAll('yt-formatted-string');
+                const elements = document.querySelectorAll('yt-content-metadata-view-model, #subscriber-count');
                 for (const el of elements) {
-                    if (el.textContent && el.textContent.includes('subscriber')) {
+                    if (el.textContent && /[0-9]/.test(el.textContent)) {
                         return true;
                     }
                 }
@@ -229,58 +159,74 @@ async function waitForContent(page) {
     }
 }
 
+/**
+ * Finds the subscriber count in the channel header DOM, by element rather than by its
+ * (localized) label. Last resort when the page data has no count.
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Promise<string|null>} Subscriber count text or null
+ */
+async function findSubscriberCountInDom(page) {
+    const count = await page.evaluate(() => {
+        const subscriberElements = document.querySelectorAll('[id*="subscriber"], [class*="subscriber"]');
+        for (const elem of subscriberElements) {
+            const text = elem.textContent || '';
+            if (text.match(/[0-9]/)) {
+                return text.trim();
+            }
+        }
+        return null;
+    }).catch((error) => {
+        log.debug('Failed to get subscriber count from DOM:', error.message);
+        return null;
+    });
+    
+    log.info('Subscriber count from DOM search:', count);
+    return count;
+}
+
+/**
+ * Finds the video count on the Videos tab in the DOM. The tab is picked by the position
+ * of the Videos tab endpoint in the page data, not by its (localized) label. Last resort
+ * when the page data has no count.
+ * @param {Object} page - Puppeteer page instance
+ * @param {Object} ytData - YouTube's data object
+ * @returns {Promise<string|null>} Video count text or null
+ */
+async function findVideoCountInDom(page, ytData) {
+    const videosEndpoint = findTabEndpoint(ytData, constants.CHANNEL_TABS.VIDEOS);
+    const tabs = ytData?.contents?.twoColumnBrowseResultsRenderer?.tabs || [];
+    const tabIndex = videosEndpoint ? tabs.findIndex(item => item?.tabRenderer?.endpoint?.browseEndpoint === videosEndpoint) : -1;
+    if (tabIndex < 0) return null;
+    
+    const videoCount = await page.evaluate((index) => {
+        const tab = document.querySelectorAll('yt-tab-shape, tp-yt-paper-tab')[index];
+        // Extract number from text like "Videos 887"
+        const match = (tab?.textContent || '').match(/([0-9,]+)/);
+        return match ? match[1] : null;
+    }, tabIndex).catch(() => null);
+    
+    log.info('Video count from DOM:', videoCount);
+    return videoCount;
+}
+
 /**
  * Extracts basic channel information with multiple fallback strategies
  * @param {Object} page - Puppeteer page instance
  * @param {Object} ytData - YouTube's data object
+ * @param {Object} aboutData - About modal data, if it could be loaded
+ * @param {string} locale - Display language of the page (for count texts)
  * @returns {Promise<Object>} Channel basic info
  */
-async function extractBasicInfo(page, ytData) {
-    const metadata = extractChannelMetadata(ytData);
+async function extractBasicInfo(page, ytData, aboutData = null, locale = '') {
+    const metadata = extractChannelMetadata(ytData, aboutData);
     
     // Try DOM selectors as fallback
-    const [channelName, subscriberCount, avatarUrl] = await Promise.all([
+    const [channelName, avatarUrl] = await Promise.all([
         // Channel name
         utils.getDataFromSelector(page, constants.CSS_SELECTORS.CHANNEL_NAME, 'innerText', 3000)
             .then(name => name || metadata.channelName)
             .catch(() => metadata.channelName),
         
-        // Subscriber count - try to find it in the channel header
-        page.evaluate(() => {
-            // Look for subscriber count in channel header
-            const channelHeader = document.querySelector('#channel-header-container');
-            if (!channelHeader) return null;
-            
-            // Find all yt-formatted-string elements in the header
-            const formattedStrings = channelHeader.querySelectorAll('yt-formatted-string');
-            for (const elem of formattedStrings) {
-                const text = elem.textContent || '';
-                // Check if this contains subscriber info
-                if (text.includes('subscriber') && text.match(/[0-9]/)) {
-                    return text.trim();
-                }
-            }
-            
-            // Alternative: look for any element with subscriber in class/id
-            const subscriberElements = document.querySelectorAll('[id*="subscriber"], [class*="subscriber"]');
-            for (const elem of subscriberElements) {
-                const text = elem.textContent || '';
-                if (text.match(/[0-9].*subscriber/i)) {
-                    return text.trim();
-                }
-            }
-            
-            return null;
-        })
-            .then(count => {
-                log.info('Subscriber count from DOM search:', count);
-                return count || metadata.subscriberCount;
-            })
-            .catch((error) => {
-                log.debug('Failed to get subscriber count from DOM:', error.message);
-                return metadata.subscriberCount;
-            }),
-        
         // Avatar image
         utils.getDataFromSelector(page, constants.CSS_SELECTORS.AVATAR_IMAGE, 'src', 3000)
             .catch(() => null),
@@ -295,28 +241,21 @@ async function extractBasicInfo(page, ytData) {
                           'Unknown Channel';
     }
     
-    // Try to get video count from the page
-    const videoCount = await page.evaluate(() => {
-        // Look for video count in tabs
-        const tabs = document.querySelectorAll('yt-tab-shape, tp-yt-paper-tab');
-        for (const tab of tabs) {
-            const text = tab.textContent || '';
-            if (text.toLowerCase().includes('video')) {
-                // Extract number from text like "Videos 887"
-                const match = text.match(/([0-9,]+)/); 
-                if (match) return match[1];
-            }
-        }
-        return null;
-    }).catch(() => null);
-    
-    log.info('Video count from DOM:', videoCount);
+    // Counts from the About modal and the header data are exact-format texts in any page language;
+    // the DOM is only searched when none of them has a count
+    const headerCounts = extractHeaderCounts(ytData);
+    const subscriberText = aboutData?.subscriberCountText || headerCounts.subscriberCountText || metadata.subscriberCount
+        || await findSubscriberCountInDom(page);
+    const videoCountText = aboutData?.videoCountText || headerCounts.videoCountText || metadata.videoCount
+        || await findVideoCountInDom(page, ytData);
     
     return {
         channelName: cleanChannelName || 'Unknown Channel',
-        channelSubscriberCount: subscriberCount ? utils.unformatNumbers(subscriberCount) : 0,
-        channelVideosCount: videoCount ? utils.unformatNumbers(videoCount) : (metadata.videoCount ? utils.unformatNumbers(metadata.videoCount) : 0),
-        channelProfileImageURL: avatarUrl || '',
+        channelSubscriberCount: subscriberText ? utils.unformatNumbers(subscriberText, locale) : 0,
+        channelSubscriberCountText: subscriberText || '',
+        channelVideosCount: videoCountText ? utils.unformatNumbers(videoCountText, locale) : 0,
+        channelVideosCountText: videoCountText || '',
+        channelProfileImageURL: avatarUrl || metadata.avatarImages[metadata.avatarImages.length - 1]?.url || '',
         metadata // Include raw metadata for additional processing
     };
 }
@@ -325,9 +264,10 @@ async function extractBasicInfo(page, ytData) {
  * Extracts detailed channel information
  * @param {Object} page - Puppeteer page instance
  * @param {Object} metadata - Metadata from ytInitialData
+ * @param {string} locale - Display language of the page (for count texts)
  * @returns {Promise<Object>} Channel detailed info
  */
-async function extractDetailedInfo(page, metadata) {
+async function extractDetailedInfo(page, metadata, locale = '') {
     // Use metadata first, then try DOM selectors as fallback
     const [joinedDate, totalViewCount, channelLocation, channelDescription] = await Promise.all([
         // Joined date
@@ -353,7 +293,8 @@ async function extractDetailedInfo(page, metadata) {
     
     return {
         joinedDate: joinedDate || '',
-        totalViewCount: totalViewCount ? utils.unformatNumbers(totalViewCount) : 0,
+        totalViewCount: totalViewCount ? utils.unformatNumbers(totalViewCount, locale) : 0,
+        totalViewCountText: totalViewCount || '',
         channelLocation: channelLocation || '',
         channelDescription: channelDescription || '',
         channelLinks: metadata.links || []
@@ -384,69 +325,6 @@ async function extractAllUrls(page, metadataLinks = []) {
     }
 }
 
-/**
- * Processes and categorizes social media URLs
- * @param {string[]} allUrls - All URLs found on page
- * @returns {Object} Categorized social media URLs
- */
-function categorizeSocialUrls(allUrls) {
-    // Extract redirect URLs with 'q' parameter
-    const redirectUrls = utils.extractUrlParameters(allUrls, 'q');
-    
-    // Include direct URLs that aren't YouTube redirects
-    const directUrls = allUrls.filter(url => 
-        !url.includes('youtube.com/redirect') && 
-        !url.includes('youtube.com/@')
-    );
-    
-    const uniqueUrls = Array.from(new Set([...redirectUrls, ...directUrls]));
-    
-    // Categorize URLs by platform
-    const socialUrls = {
-        youtubeUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.YOUTUBE),
-        instagramUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.INSTAGRAM),
-        twitterUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.TWITTER),
-        facebookUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.FACEBOOK),
-        linkedinUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.LINKEDIN),
-        pinterestUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.PINTEREST),
-        redditUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.REDDIT),
-        tumblrUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.TUMBLR),
-        twitchUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.TWITCH),
-        onlyfansUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.ONLYFANS),
-        soundcloudUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.SOUNDCLOUD),
-        discordUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.DISCORD),
-        patreonUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.PATREON),
-        githubUrls: utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.GITHUB),
-    };
-    
-    // Special handling for TikTok (remove query params)
-    socialUrls.tiktokUrls = utils.filterUrlsByDomain(uniqueUrls, constants.SOCIAL_MEDIA_PATTERNS.TIKTOK)
-        .map(url => utils.cleanUrl(url));
-    
-    // Special handling for Spotify (must contain user or artist)
-    socialUrls.spotifyUrls = uniqueUrls.filter(url => 
-        constants.SOCIAL_MEDIA_PATTERNS.SPOTIFY.domains.some(domain => url.includes(domain)) &&
-        constants.SOCIAL_MEDIA_PATTERNS.SPOTIFY.requiredPaths.some(path => url.includes(path))
-    );
-    
-    // Generic websites (non-social media)
-    socialUrls.websiteUrls = uniqueUrls.filter(url => {
-        const isSocial = Object.keys(constants.SOCIAL_MEDIA_PATTERNS)
-            .filter(key => key !== 'WEBSITE')
-            .some(platform => {
-                const patterns = constants.SOCIAL_MEDIA_PATTERNS[platform];
-                if (Array.isArray(patterns)) {
-                    return patterns.some(pattern => url.includes(pattern));
-                } else if (patterns.domains) {
-                    return patterns.domains.some(domain => url.includes(domain));
-                }
-                return false;
-            });
-        return !isSocial && !url.includes('youtube.com');
-    });
-    
-    return socialUrls;
-}
 
 /**
  * Extracts channel verification status
@@ -482,29 +360,39 @@ async function extractVerificationStatus(page) {
     }
 }
 
-/**
- * Extracts contact information from channel description
- * @param {string} description - Channel description text
- * @returns {Object} Contact information
- */
-function extractContactInfo(description) {
-    if (!description) {
-        return { emails: [], phones: [] };
-    }
-    
-    return {
-        emails: social.emailsFromText(description),
-        phones: social.phonesFromText(description),
-    };
-}
 
 /**
  * Main page handler function
  * @param {Object} context - Crawlee context object
+ * @param {Object} options - Extraction options from input
+ * @param {boolean} options.includeRecentVideos - Open the Videos tab and collect recent uploads
+ * @param {number} options.maxRecentVideos - Maximum number of uploads to collect
+ * @param {string} options.recentVideosDatasetName - Named dataset for uploads instead of the channel record
+ * @param {boolean} options.includeShorts - Collect Shorts from the Shorts tab
+ * @param {number} options.maxShorts - Maximum number of Shorts to collect
+ * @param {boolean} options.includeLiveStreams - Collect streams from the Live tab
+ * @param {number} options.maxLiveStreams - Maximum number of streams to collect
+ * @param {boolean} options.includePlaylists - Collect public playlists from the Playlists tab
+ * @param {number} options.maxPlaylists - Maximum number of playlists to collect
+ * @param {boolean} options.includeCommunityPosts - Collect posts from the Community tab
+ * @param {number} options.maxCommunityPosts - Maximum number of posts to collect
+ * @param {boolean} options.mineVideoDescriptions - Read the latest video descriptions for contacts and links
+ * @param {number} options.maxVideoDescriptions - Number of latest videos to read
+ * @param {number} options.activeWithinDays - Days since the last upload up to which a channel is active
+ * @param {number} options.dormantAfterDays - Days since the last upload after which a channel is dormant
+ * @param {number} options.medianViewsSampleSize - Latest uploads the median views are computed over
+ * @param {Object} options.socialPlatforms - Social platform rules (see createSocialPlatforms)
+ * @param {Object} options.emailClassifier - Email classifier (see emails.js)
+ * @param {Object} options.linkInBioExpander - Link-in-bio expander (see linkInBio.js); expands aggregator pages
+ * @param {Object} options.websiteContacts - Website contact collector (see websiteContacts.js); queues channel websites
+ * @param {Object} options.topicClassifier - Topic classifier (see topicClassifier.js)
+ * @param {Object} options.channelDiscovery - Discovery tracker (see discovery.js); enables featured channel crawling
+ * @param {Set<string>} options.processedChannelIds - Channel IDs scraped or being scraped in this run
  */
-const handlePageFunction = async ({ page, request, session, response }) => {
+const handlePageFunction = async ({ page, request, session, response, crawler, sendRequest }, options = {}) => {
     const startTime = Date.now();
     log.info(`Processing channel: ${request.url}`);
+    let claimedChannelId = null;
     
     try {
         // Check for CAPTCHA
@@ -513,9 +401,9 @@ const handlePageFunction = async ({ page, request, session, response }) => {
             throw new Error(constants.ERROR_MESSAGES.CAPTCHA_DETECTED);
         }
         
-        // Validate response status
+        // Validate response status (missing and terminated channels answer 404 with an explanation)
         const statusCode = response.status();
-        if (statusCode >= 400) {
+        if (statusCode >= 400 && !constants.CHANNEL_UNAVAILABLE_STATUS_CODES.includes(statusCode)) {
             session.retire();
             throw new Error(`${constants.ERROR_MESSAGES.INVALID_RESPONSE}: ${statusCode} ${response.statusText()}`);
         }
@@ -553,6 +441,25 @@ const handlePageFunction = async ({ page, request, session, response }) => {
         // Extract YouTube's data object first
         const ytData = await extractYouTubeData(page);
         
+        // Terminated, missing, age-gated or blocked channels get a status record instead of a retry
+        const statusLocale = await page.evaluate(() => ({
+            hl: window.ytcfg?.data_?.HL || '',
+            gl: window.ytcfg?.data_?.GL || '',
+        })).catch(() => ({}));
+        const statusGl = statusLocale.gl || options.locale?.gl;
+        const status = detectChannelStatus(ytData, statusCode, statusGl);
+        if (status.channelStatus !== constants.CHANNEL_STATUS.ACTIVE) {
+            await saveChannelRecord(buildUnavailableChannelRecord({
+                request,
+                identity: extractChannelIdentity(ytData, request.userData?.channelUrl || request.url),
+                status,
+                locale: { hl: statusLocale.hl || options.locale?.hl, gl: statusGl },
+                crawlerType: 'browser',
+                startTime,
+            }), options);
+            return;
+        }
+        
         // Debug: Log the structure to understand what YouTube is returning
         if (ytData?.header) {
             log.debug('YouTube header structure:', {
@@ -597,59 +504,55 @@ const handlePageFunction = async ({ page, request, session, response }) => {
         });
         log.info('Page debug info:', debugInfo);
         
+        // Resolve canonical identity and skip channels already scraped under another URL
+        const identity = extractChannelIdentity(ytData, request.userData?.channelUrl || request.url);
+        if (!claimChannel(identity.channelId, options)) {
+            log.info(`Skipping ${request.url}: channel ${identity.channelId} was already scraped in this run`);
+            return;
+        }
+        claimedChannelId = identity.channelId;
+        
+        // Language and region the page was rendered in, needed to read localized texts
+        const pageLocale = await page.evaluate(() => ({
+            hl: window.ytcfg?.data_?.HL || document.documentElement.lang || '',
+            gl: window.ytcfg?.data_?.GL || '',
+        })).catch(() => ({}));
+        const locale = { hl: pageLocale.hl || options.locale?.hl, gl: pageLocale.gl || options.locale?.gl };
+        
+        const channelUrl = request.url.replace('/about', '');
+        const loader = createPageTabLoader(page, request.userData?.channelUrl || channelUrl, ytData, locale);
+        
+        // About modal data (fetched in-page, the channel page stays loaded)
+        const aboutData = await extractAboutData(loader, ytData);
+        
         // Extract all data with fallback strategies
-        const basicInfo = await extractBasicInfo(page, ytData);
-        const detailedInfo = await extractDetailedInfo(page, basicInfo.metadata);
+        const basicInfo = await extractBasicInfo(page, ytData, aboutData, loader.locale);
+        const detailedInfo = await extractDetailedInfo(page, basicInfo.metadata, loader.locale);
         const allUrls = await extractAllUrls(page, detailedInfo.channelLinks);
         const verifiedCategory = await extractVerificationStatus(page);
         
-        // Process URLs and extract contact info
-        const socialUrls = categorizeSocialUrls(allUrls);
-        const contactInfo = extractContactInfo(detailedInfo.channelDescription);
-        
-        // Prepare final data object
-        const channelData = {
-            // Basic information
-            channelURL: request.url.replace('/about', ''),
-            channelName: basicInfo.channelName,
-            channelSubscriberCount: basicInfo.channelSubscriberCount,
-            channelVideosCount: basicInfo.channelVideosCount,
-            
-            // Detailed information
-            joinedDate: detailedInfo.joinedDate,
-            totalViewCount: detailedInfo.totalViewCount,
-            channelLocation: detailedInfo.channelLocation,
-            channelDescription: detailedInfo.channelDescription,
-            channelProfileImageURL: basicInfo.channelProfileImageURL,
-            
-            // Contact information
-            channelEmail: contactInfo.emails,
-            channelPhone: contactInfo.phones,
-            
-            // Social media links
-            ...socialUrls,
-            
-            // Verification status
+        // Channel tabs may navigate away from the channel page, so this runs after DOM extraction
+        const channelData = await buildChannelRecord({
+            request,
+            crawler,
+            sendRequest,
+            loader,
+            ytData,
+            identity,
+            aboutData,
+            basicInfo,
+            detailedInfo,
+            allUrls,
             verifiedCategory,
-            
-            // Metadata
-            scrapedAt: new Date().toISOString(),
-            processingTime: Date.now() - startTime,
-            dataSource: ytData ? 'ytInitialData' : 'DOM',
-        };
-        
-        // Save to dataset
-        await Actor.pushData(channelData);
-        
-        log.info(`Successfully scraped channel: ${basicInfo.channelName}`, {
-            subscribers: basicInfo.channelSubscriberCount,
-            videos: basicInfo.channelVideosCount,
-            processingTime: channelData.processingTime,
-            dataSource: channelData.dataSource,
-        });
+            crawlerType: 'browser',
+            startTime,
+        }, options);
+        
+        await saveChannelRecord(channelData, options);
         
     } catch (error) {
         log.error(`Failed to process ${request.url}: ${error.message}`);
+        releaseChannel(claimedChannelId, options);
         
         // Take screenshot for debugging
         try {
@@ -0,0 +1,171 @@
+/**
+ * HTTP handler for YouTube Channel Scraper
+ * Extracts channel information from the embedded ytInitialData/ytcfg JSON without a browser
+ */
+
+import { log } from 'apify';
+import * as constants from './constants.js';
+import * as utils from './utility.js';
+import { createHttpTabLoader } from './channelTabs.js';
+import {
+    extractAboutData,
+    extractChannelMetadata,
+    extractChannelIdentity,
+    extractHeaderCounts,
+    extractVerificationFromData,
+    detectChannelStatus,
+} from './channelParser.js';
+import {
+    buildChannelRecord,
+    buildUnavailableChannelRecord,
+    saveChannelRecord,
+    claimChannel,
+    releaseChannel,
+} from './channelRecord.js';
+
+/**
+ * Reads the channel name from the header (classic or page header view model) or the page metadata
+ * @param {Object} ytData - YouTube's initial data object
+ * @param {Object} metadata - Metadata from extractChannelMetadata
+ * @returns {string} Channel name or empty string
+ */
+function getChannelName(ytData, metadata) {
+    const headerTitle = typeof metadata.channelName === 'object'
+        ? utils.getText(metadata.channelName?.dynamicTextViewModel?.text)
+        : metadata.channelName;
+    
+    return headerTitle || utils.getByPath(ytData, constants.YT_DATA_PATHS.METADATA_TITLE) || '';
+}
+
+/**
+ * Lists required fields the browserless extraction could not fill
+ * @param {Object} identity - Channel identity
+ * @param {Object} basicInfo - Basic channel info
+ * @param {Object} aboutData - About modal data or null
+ * @param {string} subscriberCountText - Subscriber count text from the header
+ * @returns {string[]} Names of missing fields
+ */
+function findMissingFields(identity, basicInfo, aboutData, subscriberCountText) {
+    const missing = [];
+    if (!identity.channelId) missing.push('channelId');
+    if (!basicInfo.channelName) missing.push('channelName');
+    if (!aboutData && !subscriberCountText) missing.push('channelSubscriberCount');
+    return missing;
+}
+
+/**
+ * Main HTTP handler function. Channels with missing required fields are handed
+ * to options.browserFallback instead of being saved.
+ * @param {Object} context - Crawlee HttpCrawler context object
+ * @param {Object} options - Extraction options from input (see handlePageFunction)
+ * @param {Function} options.browserFallback - Called with the request when the channel needs the browser
+ */
+const handleHttpRequest = async ({ request, response, body, session, crawler, sendRequest }, options = {}) => {
+    const startTime = Date.now();
+    log.info(`Processing channel over HTTP: ${request.url}`);
+    
+    // Validate response status (missing and terminated channels answer 404 with an explanation)
+    const statusCode = response.statusCode;
+    if (statusCode >= 400 && !constants.CHANNEL_UNAVAILABLE_STATUS_CODES.includes(statusCode)) {
+        session?.retire();
+        throw new Error(`${constants.ERROR_MESSAGES.INVALID_RESPONSE}: ${statusCode} ${response.statusMessage || ''}`);
+    }
+    
+    // Consent cookies were not accepted, a fresh session may get through
+    if ((request.loadedUrl || response.url || '').includes('consent.youtube.com')) {
+        session?.retire();
+        throw new Error('Redirected to consent page, request will be retried');
+    }
+    
+    const { ytData, ytcfg } = utils.parseEmbeddedData(body.toString());
+    const identity = extractChannelIdentity(ytData, request.userData?.channelUrl || request.url);
+    
+    // Terminated, missing, age-gated or blocked channels get a status record instead of a retry
+    const pageLocale = { hl: ytcfg.HL || options.locale?.hl, gl: ytcfg.GL || options.locale?.gl };
+    const status = detectChannelStatus(ytData, statusCode, pageLocale.gl);
+    if (status.channelStatus !== constants.CHANNEL_STATUS.ACTIVE) {
+        await saveChannelRecord(buildUnavailableChannelRecord({
+            request,
+            identity,
+            status,
+            locale: pageLocale,
+            crawlerType: 'http',
+            startTime,
+        }), options);
+        return;
+    }
+    
+    // Skip channels already scraped under another URL
+    if (!claimChannel(identity.channelId, options)) {
+        log.info(`Skipping ${request.url}: channel ${identity.channelId} was already scraped in this run`);
+        return;
+    }
+    
+    try {
+        const channelUrl = request.url.replace('/about', '');
+        const loader = createHttpTabLoader(
+            sendRequest,
+            request.userData?.channelUrl || channelUrl,
+            ytcfg,
+            ytData,
+            options.locale,
+        );
+        
+        const aboutData = await extractAboutData(loader, ytData);
+        const metadata = extractChannelMetadata(ytData, aboutData);
+        const headerCounts = extractHeaderCounts(ytData);
+        
+        const subscriberText = aboutData?.subscriberCountText || metadata.subscriberCount || headerCounts.subscriberCountText;
+        const videoCountText = aboutData?.videoCountText || metadata.videoCount || headerCounts.videoCountText;
+        
+        const basicInfo = {
+            channelName: getChannelName(ytData, metadata),
+            channelSubscriberCount: subscriberText ? utils.unformatNumbers(subscriberText, loader.locale) : 0,
+            channelSubscriberCountText: subscriberText || '',
+            channelVideosCount: videoCountText ? utils.unformatNumbers(videoCountText, loader.locale) : 0,
+            channelVideosCountText: videoCountText || '',
+            channelProfileImageURL: metadata.avatarImages[metadata.avatarImages.length - 1]?.url || '',
+            metadata,
+        };
+        
+        const missingFields = findMissingFields(identity, basicInfo, aboutData, subscriberText);
+        if (missingFields.length > 0 && options.browserFallback) {
+            log.info(`Missing ${missingFields.join(', ')} for ${request.url}, falling back to the browser`);
+            releaseChannel(identity.channelId, options);
+            await options.browserFallback(request);
+            return;
+        }
+        
+        const detailedInfo = {
+            joinedDate: metadata.joinedDate || '',
+            totalViewCount: metadata.viewCount ? utils.unformatNumbers(metadata.viewCount, loader.locale) : 0,
+            totalViewCountText: metadata.viewCount || '',
+            channelLocation: metadata.location || '',
+            channelDescription: metadata.description || '',
+            channelLinks: metadata.links || [],
+        };
+        
+        const channelData = await buildChannelRecord({
+            request,
+            crawler,
+            sendRequest,
+            loader,
+            ytData,
+            identity,
+            aboutData,
+            basicInfo,
+            detailedInfo,
+            allUrls: [...new Set(detailedInfo.channelLinks.map(link => link.url).filter(Boolean))],
+            verifiedCategory: extractVerificationFromData(ytData),
+            crawlerType: 'http',
+            startTime,
+        }, options);
+        
+        await saveChannelRecord(channelData, options);
+    } catch (error) {
+        releaseChannel(identity.channelId, options);
+        throw error;
+    }
+};
+
+export default handleHttpRequest;
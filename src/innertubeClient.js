@@ -0,0 +1,153 @@
+/**
+ * InnerTube client for YouTube Channel Scraper
+ * Calls YouTube's internal youtubei/v1 API (browse, continuation and player requests) and returns JSON.
+ * The HTTP transport is pluggable so the same client runs inside the page, through
+ * Crawlee's sendRequest, or against a local stub server.
+ */
+
+import { INNERTUBE_ENDPOINTS, TIMEOUTS } from './constants.js';
+
+/**
+ * Reads the client configuration from a page's ytcfg
+ * @param {Object} ytcfg - ytcfg data (window.ytcfg.data_ or parsed from the HTML)
+ * @returns {Object} { apiKey, context }
+ */
+export function getClientConfig(ytcfg = {}) {
+    return {
+        apiKey: ytcfg.INNERTUBE_API_KEY || '',
+        context: ytcfg.INNERTUBE_CONTEXT || {
+            client: {
+                clientName: ytcfg.INNERTUBE_CLIENT_NAME || 'WEB',
+                clientVersion: ytcfg.INNERTUBE_CLIENT_VERSION || '',
+                hl: ytcfg.HL || 'en',
+                gl: ytcfg.GL || 'US',
+            },
+        },
+    };
+}
+
+/**
+ * Transport using the global fetch (Node.js 18+), e.g. for a local stub server
+ * @returns {Function} Transport function
+ */
+export function createFetchTransport() {
+    return async ({ url, method, headers, body }) => {
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(TIMEOUTS.TAB_NAVIGATION),
+        });
+        
+        return {
+            statusCode: response.status,
+            body: response.ok ? await response.json() : null,
+        };
+    };
+}
+
+/**
+ * Transport using Crawlee's sendRequest (reuses the request's session and proxy)
+ * @param {Function} sendRequest - sendRequest from the crawling context
+ * @returns {Function} Transport function
+ */
+export function createSendRequestTransport(sendRequest) {
+    return async ({ url, method, headers, body }) => {
+        const response = await sendRequest({
+            url,
+            method,
+            headers,
+            json: body,
+            responseType: 'json',
+            timeout: { request: TIMEOUTS.TAB_NAVIGATION },
+        });
+        
+        return { statusCode: response.statusCode, body: response.body };
+    };
+}
+
+/**
+ * Transport that sends the request from inside a Puppeteer page (same cookies as the page)
+ * @param {Object} page - Puppeteer page instance
+ * @returns {Function} Transport function
+ */
+export function createPageTransport(page) {
+    return async (request) => page.evaluate(async ({ url, method, headers, body }) => {
+        const response = await fetch(url, { method, headers, body: JSON.stringify(body) });
+        return {
+            statusCode: response.status,
+            body: response.ok ? await response.json() : null,
+        };
+    }, request);
+}
+
+/**
+ * Creates an InnerTube API client
+ * @param {Object} options - Client options
+ * @param {string} options.apiKey - INNERTUBE_API_KEY from ytcfg
+ * @param {Object} options.context - INNERTUBE_CONTEXT from ytcfg
+ * @param {Function} options.transport - Sends { url, method, headers, body } and resolves to { statusCode, body }
+ * @param {string} options.baseUrl - API origin; defaults to YouTube (tests pass a stub server)
+ * @param {Object} options.headers - Extra request headers
+ * @returns {Object} Client with browse, continuation and player methods
+ */
+export function createInnerTubeClient({
+    apiKey = '',
+    context = getClientConfig().context,
+    transport = createFetchTransport(),
+    baseUrl = INNERTUBE_ENDPOINTS.ORIGIN,
+    headers = {},
+} = {}) {
+    /**
+     * Posts a request body to an InnerTube endpoint
+     * @param {string} endpoint - Endpoint path (see INNERTUBE_ENDPOINTS)
+     * @param {Object} payload - Request fields besides the client context
+     * @returns {Promise<Object>} Response JSON
+     */
+    const post = async (endpoint, payload) => {
+        const query = apiKey ? `?key=${encodeURIComponent(apiKey)}&prettyPrint=false` : '?prettyPrint=false';
+        const response = await transport({
+            url: `${baseUrl}${endpoint}${query}`,
+            method: 'POST',
+            headers: { 'content-type': 'application/json', ...headers },
+            body: { context, ...payload },
+        });
+        
+        if (!response || response.statusCode >= 400 || !response.body) {
+            throw new Error(`InnerTube ${endpoint} request failed with status ${response?.statusCode}`);
+        }
+        
+        return response.body;
+    };
+    
+    return {
+        /**
+         * Browses a page by ID, e.g. a channel tab ({ browseId: 'UC…', params: tab params })
+         * @param {Object} browseEndpoint - browseEndpoint from ytInitialData
+         * @param {string} browseEndpoint.browseId - Channel ID or other browse ID
+         * @param {string} browseEndpoint.params - Opaque tab parameters
+         * @returns {Promise<Object>} Response JSON (same shape as ytInitialData)
+         */
+        async browse({ browseId, params }) {
+            return post(INNERTUBE_ENDPOINTS.BROWSE, params ? { browseId, params } : { browseId });
+        },
+        
+        /**
+         * Requests the next page of a grid, or the About modal, by continuation token
+         * @param {string} token - Continuation token
+         * @returns {Promise<Object>} Continuation response JSON
+         */
+        async continuation(token) {
+            return post(INNERTUBE_ENDPOINTS.BROWSE, { continuation: token });
+        },
+        
+        /**
+         * Requests the player response of a video (details and description)
+         * @param {string} videoId - Video ID
+         * @returns {Promise<Object>} Response JSON (same shape as ytInitialPlayerResponse)
+         */
+        async player(videoId) {
+            return post(INNERTUBE_ENDPOINTS.PLAYER, { videoId });
+        },
+    };
+}
@@ -4,6 +4,8 @@
  */
 
 import { log } from 'apify';
+import { compileTopicTerm } from './topicClassifier.js';
+import { compileSocialPlatform } from './socialProfiles.js';
 
 // Valid YouTube URL patterns
 const YOUTUBE_URL_PATTERNS = [
@@ -127,7 +129,22 @@ export function validateInput(input) {
         minConcurrency: { min: 1, max: 100, default: 1 },
         maxConcurrency: { min: 1, max: 100, default: 1 },
         maxRequestsPerCrawl: { min: 1, max: 100000, default: 100 },
-        maxChannelsPerRun: { min: 1, max: 10000, default: 1000 }
+        maxChannelsPerRun: { min: 1, max: 10000, default: 1000 },
+        maxRecentVideos: { min: 1, max: 500, default: 30 },
+        maxShorts: { min: 1, max: 500, default: 30 },
+        maxLiveStreams: { min: 1, max: 500, default: 30 },
+        maxPlaylists: { min: 1, max: 500, default: 100 },
+        maxCommunityPosts: { min: 1, max: 200, default: 20 },
+        maxVideoDescriptions: { min: 1, max: 50, default: 5 },
+        activeWithinDays: { min: 1, max: 3650, default: 30 },
+        dormantAfterDays: { min: 1, max: 3650, default: 180 },
+        medianViewsSampleSize: { min: 1, max: 500, default: 10 },
+        minTopicConfidence: { min: 0, max: 100, default: 20 },
+        maxLinkInBioPages: { min: 1, max: 10, default: 3 },
+        maxWebsitePagesPerChannel: { min: 1, max: 50, default: 5 },
+        maxWebsiteDepth: { min: 0, max: 3, default: 1 },
+        maxDiscoveryDepth: { min: 1, max: 5, default: 1 },
+        maxDiscoveredChannels: { min: 1, max: 10000, default: 50 }
     };
     
     Object.entries(numericParams).forEach(([param, config]) => {
@@ -152,8 +169,92 @@ export function validateInput(input) {
             [sanitized.maxConcurrency, sanitized.minConcurrency];
     }
     
+    // Validate activity thresholds (a value given alone is checked against the other's default)
+    const hasActiveWithinDays = sanitized.activeWithinDays !== undefined;
+    const hasDormantAfterDays = sanitized.dormantAfterDays !== undefined;
+    const activeWithinDays = hasActiveWithinDays ? sanitized.activeWithinDays : numericParams.activeWithinDays.default;
+    const dormantAfterDays = hasDormantAfterDays ? sanitized.dormantAfterDays : numericParams.dormantAfterDays.default;
+    if ((hasActiveWithinDays || hasDormantAfterDays) && activeWithinDays > dormantAfterDays) {
+        if (hasActiveWithinDays && hasDormantAfterDays) {
+            warnings.push('activeWithinDays cannot be greater than dormantAfterDays, swapping values');
+            [sanitized.activeWithinDays, sanitized.dormantAfterDays] = [dormantAfterDays, activeWithinDays];
+        } else if (hasActiveWithinDays) {
+            warnings.push(`activeWithinDays is greater than the default dormantAfterDays (${dormantAfterDays}), setting dormantAfterDays to ${activeWithinDays}`);
+            sanitized.dormantAfterDays = activeWithinDays;
+        } else {
+            warnings.push(`dormantAfterDays is less than the default activeWithinDays (${activeWithinDays}), setting activeWithinDays to ${dormantAfterDays}`);
+            sanitized.activeWithinDays = dormantAfterDays;
+        }
+    }
+    
+    // Validate topic taxonomy (topic -> array of terms; "/pattern/flags" terms must be valid regexes)
+    if (sanitized.topicTaxonomy !== undefined) {
+        const taxonomy = sanitized.topicTaxonomy;
+        if (!taxonomy || typeof taxonomy !== 'object' || Array.isArray(taxonomy)) {
+            warnings.push('topicTaxonomy must be an object of topic -> term list, using the default taxonomy');
+            delete sanitized.topicTaxonomy;
+        } else {
+            sanitized.topicTaxonomy = {};
+            for (const [topic, terms] of Object.entries(taxonomy)) {
+                const validTerms = (Array.isArray(terms) ? terms : [])
+                    .filter(term => typeof term === 'string' && term.trim())
+                    .filter(term => {
+                        try {
+                            compileTopicTerm(term);
+                            return true;
+                        } catch (error) {
+                            warnings.push(`Invalid regex "${term}" for topic "${topic}" ignored`);
+                            return false;
+                        }
+                    });
+                
+                if (validTerms.length === 0) {
+                    warnings.push(`Topic "${topic}" has no valid terms and is ignored`);
+                } else {
+                    sanitized.topicTaxonomy[topic] = validTerms;
+                }
+            }
+            
+            if (Object.keys(sanitized.topicTaxonomy).length === 0) {
+                warnings.push('topicTaxonomy has no valid topics, using the default taxonomy');
+                delete sanitized.topicTaxonomy;
+            }
+        }
+    }
+    
+    // Validate user-defined social platforms
+    if (sanitized.customSocialPlatforms !== undefined) {
+        const platforms = sanitized.customSocialPlatforms;
+        if (!platforms || typeof platforms !== 'object' || Array.isArray(platforms)) {
+            warnings.push('customSocialPlatforms must be an object of platform name -> definition, ignoring it');
+            delete sanitized.customSocialPlatforms;
+        } else {
+            sanitized.customSocialPlatforms = {};
+            for (const [name, definition] of Object.entries(platforms)) {
+                try {
+                    compileSocialPlatform(name, definition);
+                    sanitized.customSocialPlatforms[name] = definition;
+                } catch (error) {
+                    warnings.push(`Custom social platform "${name}" ignored: ${error.message}`);
+                }
+            }
+        }
+    }
+    
+    // Validate talent agency domains
+    if (sanitized.talentAgencyDomains !== undefined) {
+        if (!Array.isArray(sanitized.talentAgencyDomains)) {
+            warnings.push('talentAgencyDomains must be an array of domains, ignoring it');
+            delete sanitized.talentAgencyDomains;
+        } else {
+            sanitized.talentAgencyDomains = sanitized.talentAgencyDomains
+                .filter(domain => typeof domain === 'string' && /^@?[\w-]+(\.[\w-]+)+$/.test(domain.trim()))
+                .map(domain => domain.trim().toLowerCase().replace(/^@/, ''));
+        }
+    }
+    
     // Validate boolean parameters
-    const booleanParams = ['savePartialResults'];
+    const booleanParams = ['savePartialResults', 'includeRecentVideos', 'includeShorts', 'includeLiveStreams', 'includePlaylists', 'includeCommunityPosts', 'mineVideoDescriptions', 'expandLinkInBio', 'crawlWebsites', 'discoverFeaturedChannels'];
     booleanParams.forEach(param => {
         if (sanitized[param] !== undefined && typeof sanitized[param] !== 'boolean') {
             sanitized[param] = Boolean(sanitized[param]);
@@ -182,6 +283,51 @@ export function validateInput(input) {
         delete sanitized.csvContent;
     }
     
+    // Validate crawler type
+    if (sanitized.crawlerType !== undefined && !['browser', 'http'].includes(sanitized.crawlerType)) {
+        warnings.push(`Unknown crawlerType "${sanitized.crawlerType}", using browser`);
+        sanitized.crawlerType = 'browser';
+    }
+    
+    // Validate interface language and content region
+    if (sanitized.hl !== undefined) {
+        if (typeof sanitized.hl !== 'string' || !/^[a-z]{2,3}([-_][a-z0-9]{2,4})?$/i.test(sanitized.hl.trim())) {
+            warnings.push(`Invalid hl "${sanitized.hl}", using the default language`);
+            delete sanitized.hl;
+        } else {
+            sanitized.hl = sanitized.hl.trim().replace('_', '-');
+        }
+    }
+    
+    if (sanitized.gl !== undefined) {
+        if (typeof sanitized.gl !== 'string' || !/^[a-z]{2}$/i.test(sanitized.gl.trim())) {
+            warnings.push(`Invalid gl "${sanitized.gl}", using the default region`);
+            delete sanitized.gl;
+        } else {
+            sanitized.gl = sanitized.gl.trim().toUpperCase();
+        }
+    }
+    
+    // Validate dataset name for recent uploads
+    if (sanitized.recentVideosDatasetName !== undefined) {
+        if (typeof sanitized.recentVideosDatasetName !== 'string' || !sanitized.recentVideosDatasetName.trim()) {
+            warnings.push('recentVideosDatasetName must be a non-empty string, attaching videos to channel records');
+            delete sanitized.recentVideosDatasetName;
+        } else {
+            sanitized.recentVideosDatasetName = sanitized.recentVideosDatasetName.trim();
+        }
+    }
+    
+    // Validate dataset name for website contacts
+    if (sanitized.websiteContactsDatasetName !== undefined) {
+        if (typeof sanitized.websiteContactsDatasetName !== 'string' || !sanitized.websiteContactsDatasetName.trim()) {
+            warnings.push('websiteContactsDatasetName must be a non-empty string, using "website-contacts"');
+            delete sanitized.websiteContactsDatasetName;
+        } else {
+            sanitized.websiteContactsDatasetName = sanitized.websiteContactsDatasetName.trim();
+        }
+    }
+    
     // Check for at least one input source
     const hasKeywords = sanitized.keywords?.length > 0;
     const hasStartUrls = sanitized.startUrls?.length > 0;
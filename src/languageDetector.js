@@ -0,0 +1,59 @@
+/**
+ * Language detection for YouTube Channel Scraper
+ * Identifies the language of channel texts offline (tinyld) as ISO 639-1 codes
+ */
+
+import { detectAll } from 'tinyld';
+
+// Shorter texts do not carry enough signal for a reliable guess
+const MIN_TEXT_LENGTH = 20;
+
+/**
+ * Removes parts of a text that carry no language signal (links, emails, handles, hashtags)
+ * @param {string} text - Raw text
+ * @returns {string} Cleaned text
+ */
+function stripNonLinguistic(text) {
+    return text
+        .replace(/https?:\/\/\S+|www\.\S+/gi, ' ')
+        .replace(/\S+@\S+\.\S+/g, ' ')
+        .replace(/[@#][\p{L}\p{N}_.-]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Detects the language of a text
+ * @param {string} text - Text to identify
+ * @returns {Object|null} { code, confidence } with an ISO 639-1 code, or null if undetermined
+ */
+export function detectLanguage(text) {
+    const cleaned = stripNonLinguistic(text || '');
+    if (cleaned.length < MIN_TEXT_LENGTH) return null;
+    
+    // tinyld also knows a few languages without an ISO 639-1 code (e.g. Klingon)
+    const best = detectAll(cleaned).find(result => /^[a-z]{2}$/.test(result.lang));
+    if (!best) return null;
+    
+    return {
+        code: best.lang,
+        confidence: Math.round(best.accuracy * 100) / 100,
+    };
+}
+
+/**
+ * Detects the language of the channel description, of its video titles, and the
+ * primary language of both together
+ * @param {string} description - Channel description
+ * @param {string[]} videoTitles - Video titles
+ * @returns {Object} { descriptionLanguage, videoTitlesLanguage, primaryLanguage }
+ */
+export function detectChannelLanguages(description, videoTitles = []) {
+    const titlesText = videoTitles.join('\n');
+    
+    return {
+        descriptionLanguage: detectLanguage(description),
+        videoTitlesLanguage: detectLanguage(titlesText),
+        primaryLanguage: detectLanguage([description, titlesText].filter(Boolean).join('\n')),
+    };
+}
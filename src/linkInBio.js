@@ -0,0 +1,192 @@
+/**
+ * Link-in-bio expansion for YouTube Channel Scraper
+ * Fetches link aggregator pages (Linktree, Beacons, Carrd, ...) found on a channel and
+ * expands them into the profiles, websites and emails they contain. Aggregators are
+ * recognized by host and read by pluggable parsers.
+ */
+
+import { log } from 'apify';
+import { TIMEOUTS } from './constants.js';
+import * as utils from './utility.js';
+import { extractEmails, normalizeEmail } from './emails.js';
+
+// Links on aggregator pages that are page assets rather than destinations
+const ASSET_EXTENSIONS = /\.(css|js|json|png|jpe?g|gif|svg|webp|ico|woff2?|ttf)(\?|#|$)/i;
+
+/**
+ * Reads the href targets of all anchors in an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL (to resolve relative links)
+ * @returns {string[]} Absolute URLs, including mailto: links
+ */
+export function parseAnchorLinks(html, pageUrl) {
+    const links = [];
+    for (const [, href] of html.matchAll(/<a\s[^>]*?href\s*=\s*["']([^"']+)["']/gi)) {
+        try {
+            links.push(new URL(href.replace(/&amp;/g, '&'), pageUrl).toString());
+        } catch {
+            // Ignore malformed hrefs
+        }
+    }
+    return links;
+}
+
+/**
+ * Reads link URLs from a Next.js page's __NEXT_DATA__ (Linktree, Beacons render links
+ * client-side, so the anchors are not always in the HTML), plus the anchors
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @returns {string[]} Absolute URLs
+ */
+export function parseNextDataLinks(html, pageUrl) {
+    const nextData = utils.extractEmbeddedJson(html, '<script id="__NEXT_DATA__" type="application/json">');
+    const urls = [];
+    
+    const collect = (node) => {
+        if (!node || typeof node !== 'object') return;
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'url' && typeof value === 'string' && /^(https?:|mailto:)/i.test(value)) {
+                urls.push(value);
+            } else {
+                collect(value);
+            }
+        }
+    };
+    collect(nextData?.props?.pageProps);
+    
+    return [...urls, ...parseAnchorLinks(html, pageUrl)];
+}
+
+/**
+ * Built-in aggregator parsers. A parser has a name, the hosts it handles (subdomains
+ * included) and a parse(html, pageUrl) function returning the URLs on the page.
+ */
+export const DEFAULT_LINK_IN_BIO_PARSERS = [
+    { name: 'linktree', hosts: ['linktr.ee'], parse: parseNextDataLinks },
+    { name: 'beacons', hosts: ['beacons.ai', 'beacons.page'], parse: parseNextDataLinks },
+    { name: 'carrd', hosts: ['carrd.co'], parse: parseAnchorLinks },
+    { name: 'bio.link', hosts: ['bio.link'], parse: parseAnchorLinks },
+    { name: 'komi', hosts: ['komi.io'], parse: parseNextDataLinks },
+    { name: 'lnk.bio', hosts: ['lnk.bio'], parse: parseAnchorLinks },
+    { name: 'taplink', hosts: ['taplink.cc'], parse: parseAnchorLinks },
+    { name: 'solo.to', hosts: ['solo.to'], parse: parseAnchorLinks },
+    { name: 'campsite', hosts: ['campsite.bio'], parse: parseAnchorLinks },
+];
+
+/**
+ * Page fetcher using Crawlee's sendRequest (reuses the request's session and proxy)
+ * @param {Function} sendRequest - sendRequest from the crawling context
+ * @returns {Function} Fetches a URL and resolves to its HTML
+ */
+export function createSendRequestFetcher(sendRequest) {
+    return async (url) => {
+        const response = await sendRequest({ url, timeout: { request: TIMEOUTS.TAB_NAVIGATION } });
+        if (response.statusCode >= 400) {
+            throw new Error(`Status ${response.statusCode}`);
+        }
+        return response.body.toString();
+    };
+}
+
+/**
+ * Page fetcher using the global fetch (e.g. for fixtures served locally)
+ * @returns {Function} Fetches a URL and resolves to its HTML
+ */
+export function createFetchFetcher() {
+    return async (url) => {
+        const response = await fetch(url, { signal: AbortSignal.timeout(TIMEOUTS.TAB_NAVIGATION) });
+        if (!response.ok) {
+            throw new Error(`Status ${response.status}`);
+        }
+        return response.text();
+    };
+}
+
+/**
+ * Creates a link-in-bio expander
+ * @param {Object} options - Expander options
+ * @param {Object[]} options.parsers - Aggregator parsers (see DEFAULT_LINK_IN_BIO_PARSERS)
+ * @param {number} options.maxPages - Maximum aggregator pages fetched per channel
+ * @param {string} options.baseUrl - Serve aggregator pages from here instead (for fixtures):
+ *     https://linktr.ee/name is fetched from {baseUrl}/linktr.ee/name
+ * @returns {Object} Expander with findParser and expand methods
+ */
+export function createLinkInBioExpander({
+    parsers = DEFAULT_LINK_IN_BIO_PARSERS,
+    maxPages = 3,
+    baseUrl = '',
+} = {}) {
+    /**
+     * Finds the parser for an aggregator URL
+     * @param {string} url - Link found on the channel
+     * @returns {Object|null} Parser or null if the URL is not a known aggregator
+     */
+    const findParser = (url) => {
+        let hostname;
+        try {
+            hostname = new URL(url).hostname.replace(/^www\./, '');
+        } catch {
+            return null;
+        }
+        
+        return parsers.find(parser => parser.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))) || null;
+    };
+    
+    /**
+     * Keeps the destinations of an aggregator page: drops its own pages and assets
+     * @param {string[]} links - URLs from the parser
+     * @param {string} pageUrl - Aggregator page URL
+     * @returns {string[]} Unique http(s) links
+     */
+    const cleanLinks = (links, pageUrl) => {
+        const ownHost = new URL(pageUrl).hostname;
+        const destinations = links
+            .map(link => utils.resolveRedirectUrl(link))
+            .filter(link => /^https?:/i.test(link) && utils.isValidUrl(link) && !ASSET_EXTENSIONS.test(link))
+            .filter(link => new URL(link).hostname !== ownHost && !findParser(link));
+        return [...new Set(destinations)];
+    };
+    
+    return {
+        findParser,
+        
+        /**
+         * Fetches the aggregator pages among the URLs and reads their links and emails
+         * @param {string[]} urls - Links found on the channel
+         * @param {Function} fetchPage - Resolves a URL to its HTML (see createSendRequestFetcher)
+         * @returns {Promise<Object[]>} Expanded pages { url, aggregator, links, emails }
+         */
+        async expand(urls, fetchPage = createFetchFetcher()) {
+            const pages = [];
+            const aggregatorUrls = [...new Set(urls.map(url => utils.resolveRedirectUrl(url)))]
+                .filter(url => findParser(url))
+                .slice(0, maxPages);
+            
+            for (const url of aggregatorUrls) {
+                const parser = findParser(url);
+                const fetchUrl = baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${new URL(url).hostname}${new URL(url).pathname}` : url;
+                
+                try {
+                    const html = await fetchPage(fetchUrl);
+                    const links = parser.parse(html, url);
+                    const visibleText = html.replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ');
+                    const mailtoEmails = links
+                        .filter(link => link.toLowerCase().startsWith('mailto:'))
+                        .map(link => normalizeEmail(decodeURIComponent(link.slice(7))))
+                        .filter(Boolean);
+                    
+                    pages.push({
+                        url,
+                        aggregator: parser.name,
+                        links: cleanLinks(links, url),
+                        emails: [...new Set([...mailtoEmails, ...extractEmails(visibleText)])],
+                    });
+                } catch (error) {
+                    log.debug(`Failed to expand link-in-bio page ${url}: ${error.message}`);
+                }
+            }
+            
+            return pages;
+        },
+    };
+}
@@ -0,0 +1,82 @@
+/**
+ * Locale control for YouTube Channel Scraper
+ * Pins the interface language (hl) and content region (gl) of every request through
+ * URL parameters, the Accept-Language header and YouTube's PREF cookie, so that
+ * extraction does not depend on the proxy's country
+ */
+
+import { DEFAULT_LOCALE, INNERTUBE_ENDPOINTS } from './constants.js';
+
+/**
+ * Fills in missing locale parts with the defaults
+ * @param {Object} locale - { hl, gl }
+ * @returns {Object} { hl, gl }
+ */
+export function resolveLocale({ hl, gl } = {}) {
+    return {
+        hl: hl || DEFAULT_LOCALE.hl,
+        gl: (gl || DEFAULT_LOCALE.gl).toUpperCase(),
+    };
+}
+
+/**
+ * Adds hl/gl query parameters to a YouTube URL (existing values are replaced)
+ * @param {string} url - YouTube URL
+ * @param {Object} locale - { hl, gl }
+ * @returns {string} URL with locale parameters
+ */
+export function withLocaleParams(url, locale) {
+    const { hl, gl } = resolveLocale(locale);
+    const localized = new URL(url);
+    localized.searchParams.set('hl', hl);
+    localized.searchParams.set('gl', gl);
+    return localized.toString();
+}
+
+/**
+ * Removes hl/gl query parameters from a URL
+ * @param {string} url - URL possibly carrying locale parameters
+ * @returns {string} URL without locale parameters
+ */
+export function stripLocaleParams(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.searchParams.delete('hl');
+        parsed.searchParams.delete('gl');
+        return parsed.toString().replace(/\?$/, '');
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Builds the request headers for a locale ("de" -> "de,en;q=0.5", "pt-BR" -> "pt-BR,pt;q=0.9,en;q=0.5")
+ * @param {Object} locale - { hl, gl }
+ * @returns {Object} Headers
+ */
+export function getLocaleHeaders(locale) {
+    const { hl } = resolveLocale(locale);
+    const language = hl.split(/[-_]/)[0];
+    const languages = [hl];
+    
+    if (language !== hl) languages.push(`${language};q=0.9`);
+    if (language !== 'en') languages.push('en;q=0.5');
+    
+    return { 'accept-language': languages.join(',') };
+}
+
+/**
+ * Builds YouTube's PREF cookie, which stores the interface language and region
+ * @param {Object} locale - { hl, gl }
+ * @returns {Object} Cookie { name, value, domain, path }
+ */
+export function getPrefCookie(locale) {
+    const { hl, gl } = resolveLocale(locale);
+    
+    return {
+        name: 'PREF',
+        value: `hl=${hl}&gl=${gl}`,
+        domain: `.${new URL(INNERTUBE_ENDPOINTS.ORIGIN).hostname.replace(/^www\./, '')}`,
+        path: '/',
+    };
+}
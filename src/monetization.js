@@ -0,0 +1,89 @@
+/**
+ * Monetization signals for YouTube Channel Scraper
+ * Detects channel memberships, merch, the Store tab, Shopping and the Official Artist
+ * Channel badge from the channel page data
+ */
+
+import { CHANNEL_TABS, MONETIZATION_RENDERERS } from './constants.js';
+import { findTabEndpoint } from './channelTabs.js';
+import { extractVerificationFromData } from './channelParser.js';
+import * as utils from './utility.js';
+
+const OFFICIAL_ARTIST_BADGE = 'Official Artist Channel';
+
+/**
+ * Checks whether any of the given renderers occur in a ytInitialData subtree
+ * @param {Object} node - ytInitialData subtree
+ * @param {string[]} rendererNames - Renderer or endpoint keys
+ * @returns {boolean} True if at least one is present
+ */
+function hasAnyRenderer(node, rendererNames) {
+    return rendererNames.some(name => utils.findRenderers(node, name).length > 0);
+}
+
+/**
+ * Detects the channel membership "Join" button in the header by its renderer or the
+ * command it runs, so it is found whatever language the label is in
+ * @param {Object} header - ytInitialData header
+ * @returns {boolean} True if the channel offers memberships
+ */
+function hasMembershipButton(header) {
+    if (hasAnyRenderer(header, MONETIZATION_RENDERERS.MEMBERSHIP)) {
+        return true;
+    }
+    
+    return utils.findRenderers(header, 'buttonViewModel')
+        .some(button => MONETIZATION_RENDERERS.MEMBERSHIP_COMMAND.test(JSON.stringify(button.onTap || {})));
+}
+
+/**
+ * Parses membership tiers where the page lists them (names and prices)
+ * @param {Object} node - ytInitialData subtree
+ * @returns {Object[]} Tiers
+ */
+export function parseMembershipTiers(node) {
+    return utils.findRenderers(node, MONETIZATION_RENDERERS.MEMBERSHIP_TIER)
+        .map(tier => ({
+            name: utils.getText(tier.title) || null,
+            price: utils.getText(tier.priceText || tier.price) || null,
+        }))
+        .filter(tier => tier.name || tier.price);
+}
+
+/**
+ * Parses the products of the merch shelf
+ * @param {Object} node - ytInitialData subtree
+ * @returns {Object[]} Merch items
+ */
+export function parseMerchItems(node) {
+    return utils.findRenderers(node, MONETIZATION_RENDERERS.MERCH_ITEM)
+        .map(item => ({
+            title: utils.getText(item.title) || null,
+            price: utils.getText(item.price) || null,
+            vendor: utils.getText(item.vendorName) || null,
+            url: utils.resolveRedirectUrl(item.buttonNavigationEndpoint?.urlEndpoint?.url) || null,
+        }));
+}
+
+/**
+ * Collects the monetization signals of a channel
+ * @param {Object} ytData - ytInitialData of the channel page
+ * @param {string|null} verifiedCategory - Verification badge read by the handler (DOM or page data)
+ * @returns {Object} Monetization object
+ */
+export function extractMonetization(ytData, verifiedCategory = null) {
+    const merchItems = parseMerchItems(ytData?.contents);
+    const hasStoreTab = Boolean(findTabEndpoint(ytData, CHANNEL_TABS.STORE));
+    
+    return {
+        hasMemberships: hasMembershipButton(ytData?.header),
+        membershipTiers: parseMembershipTiers(ytData),
+        hasMerchShelf: merchItems.length > 0,
+        merchItems,
+        hasStoreTab,
+        hasShopping: hasStoreTab || hasAnyRenderer(ytData?.contents, MONETIZATION_RENDERERS.SHOPPING),
+        isOfficialArtistChannel: [verifiedCategory, extractVerificationFromData(ytData)].includes(OFFICIAL_ARTIST_BADGE)
+            || utils.findRenderers(ytData?.header, 'metadataBadgeRenderer')
+                .some(badge => badge.style === 'BADGE_STYLE_TYPE_VERIFIED_ARTIST'),
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * Phone numbers for YouTube Channel Scraper
+ * Finds phone numbers with libphonenumber-js metadata, so years, dates and view counts
+ * are not taken for numbers, and writes them in E.164 with their country and type
+ * (mobile, landline, toll-free, ...) for dialer imports
+ */
+
+import { findPhoneNumbersInText, parsePhoneNumberFromString, getCountries } from 'libphonenumber-js/max';
+import { PHONE_NUMBER_TYPES, PHONE_CONTEXT_PATTERN, DEFAULT_LOCALE } from './constants.js';
+
+// Years and ranges ("2019-2020", "1990 / 95") the metadata may accept as national numbers
+const YEAR_OR_RANGE = /^\(?(?:1[89]|20)\d{2}\)?\s*[-–—/]\s*\d{2,4}$/;
+
+// North American formatting ("1-800-123-4567", "(415) 555-2671"), read as a US number in any region
+const NANP_FORMAT = /^(?:\+?1[-. ]?)?\(?\d{3}\)?[-. ]\d{3}[-. ]\d{4}$/;
+
+// Characters before a number that are looked at for a phone keyword
+const CONTEXT_LENGTH = 30;
+
+// Country name -> region code lookups by display language
+const countryNameCache = new Map();
+
+/**
+ * Lists the country names of a language with their region codes
+ * @param {string} language - Display language (e.g. 'en', 'de')
+ * @returns {Map} Lowercase country name -> region code
+ */
+function getCountryNames(language) {
+    if (countryNameCache.has(language)) return countryNameCache.get(language);
+    
+    const names = new Map();
+    try {
+        const displayNames = new Intl.DisplayNames([language], { type: 'region' });
+        for (const region of getCountries()) {
+            const name = displayNames.of(region);
+            if (name && name !== region) names.set(name.toLowerCase(), region);
+        }
+    } catch {
+        // Unknown display language
+    }
+    
+    countryNameCache.set(language, names);
+    return names;
+}
+
+/**
+ * Finds the region numbers without a country code are read in: the country of the
+ * channel location, otherwise the region pages were rendered in
+ * @param {string} location - Channel location ("United States", "Deutschland", "US")
+ * @param {Object} locale - Language and region of the page ({ hl, gl })
+ * @returns {string|undefined} Region code (e.g. 'US') or undefined if neither is known
+ */
+export function resolvePhoneRegion(location, locale = {}) {
+    const countries = getCountries();
+    const name = typeof location === 'string' ? location.trim() : '';
+    
+    if (name) {
+        if (countries.includes(name.toUpperCase())) return name.toUpperCase();
+        
+        const language = (locale.hl || DEFAULT_LOCALE.hl).split('-')[0];
+        for (const candidate of new Set([language, DEFAULT_LOCALE.hl])) {
+            const region = getCountryNames(candidate).get(name.toLowerCase());
+            if (region) return region;
+        }
+    }
+    
+    const fallback = (locale.gl || '').toUpperCase();
+    return countries.includes(fallback) ? fallback : undefined;
+}
+
+/**
+ * Converts a parsed number into its output form
+ * @param {Object} phoneNumber - libphonenumber-js PhoneNumber
+ * @returns {Object} { phone, formatted, country, type }
+ */
+function toPhoneEntry(phoneNumber) {
+    return {
+        phone: phoneNumber.number,
+        formatted: phoneNumber.formatInternational(),
+        country: phoneNumber.country || null,
+        type: PHONE_NUMBER_TYPES[phoneNumber.getType()] || null,
+    };
+}
+
+/**
+ * Normalizes a single number (e.g. from a tel: link) to E.164
+ * @param {string} number - Number as written
+ * @param {string} region - Region for numbers without a country code (see resolvePhoneRegion)
+ * @returns {Object|null} { phone, formatted, country, type } or null if the number is not valid
+ */
+export function normalizePhone(number, region) {
+    if (!number || typeof number !== 'string') return null;
+    
+    const phoneNumber = parsePhoneNumberFromString(number.trim(), region);
+    return phoneNumber?.isValid() ? toPhoneEntry(phoneNumber) : null;
+}
+
+/**
+ * Reads a number found in text; North American formatting is read as a North American
+ * number whatever the default region
+ * @param {string} written - Number as written
+ * @param {Object} phoneNumber - Number as parsed in the default region
+ * @returns {Object|null} libphonenumber-js PhoneNumber or null if the number is not valid
+ */
+function resolveWrittenNumber(written, phoneNumber) {
+    if (phoneNumber.countryCallingCode === '1' || !NANP_FORMAT.test(written)) return phoneNumber;
+    
+    const northAmerican = parsePhoneNumberFromString(written.replace(/^\+?1[-. ]?(?=\(?\d{3})/, ''), 'US');
+    return northAmerican?.isValid() ? northAmerican : null;
+}
+
+/**
+ * Finds the valid phone numbers in a text. Numbers with a + country code are always
+ * taken; numbers without one only after a phone keyword ("Tel:", "call", "📞"), so
+ * years, ranges and counts that happen to be valid national numbers are left out.
+ * @param {string} text - Text to search
+ * @param {string} region - Region for numbers without a country code (see resolvePhoneRegion)
+ * @returns {Object[]} Unique numbers { phone, formatted, country, type }
+ */
+export function extractPhones(text, region) {
+    if (!text || typeof text !== 'string') return [];
+    
+    const phones = new Map();
+    for (const { number, startsAt, endsAt } of findPhoneNumbersInText(text, { defaultCountry: region })) {
+        const written = text.slice(startsAt, endsAt).trim();
+        if (YEAR_OR_RANGE.test(written)) continue;
+        
+        const isInternational = written.startsWith('+');
+        if (!isInternational && !PHONE_CONTEXT_PATTERN.test(text.slice(Math.max(0, startsAt - CONTEXT_LENGTH), startsAt))) continue;
+        
+        const phoneNumber = isInternational ? number : resolveWrittenNumber(written, number);
+        if (phoneNumber && !phones.has(phoneNumber.number)) phones.set(phoneNumber.number, toPhoneEntry(phoneNumber));
+    }
+    return [...phones.values()];
+}
+
+/**
+ * Merges the numbers found on a channel's pages, with every page each one was found on
+ * @param {Object[]} sources - Number sources { phones, foundIn } (phones as returned by extractPhones)
+ * @returns {Object[]} Numbers { phone, formatted, country, type, foundIn }
+ */
+export function collectPhones(sources) {
+    const phones = new Map();
+    for (const { phones: found = [], foundIn } of sources) {
+        for (const entry of found) {
+            if (!phones.has(entry.phone)) phones.set(entry.phone, { ...entry, foundIn: [] });
+            const existing = phones.get(entry.phone);
+            if (foundIn && !existing.foundIn.includes(foundIn)) existing.foundIn.push(foundIn);
+        }
+    }
+    return [...phones.values()];
+}
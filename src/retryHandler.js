@@ -71,7 +71,7 @@ export const RETRY_CONFIG = {
  */
 export function classifyError(error, response) {
     const message = error.message?.toLowerCase() || '';
-    const statusCode = response?.status?.() || 0;
+    const statusCode = response?.status?.() || response?.statusCode || 0;
     
     // Check status codes first
     if (statusCode === 429) {
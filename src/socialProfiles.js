@@ -0,0 +1,233 @@
+/**
+ * Social profiles for YouTube Channel Scraper
+ * Reads social links into canonical profile objects (platform, handle, profile URL) so
+ * creators can be deduplicated and joined across platforms. Posts and videos are kept
+ * apart from profile links.
+ */
+
+import { SOCIAL_PLATFORMS, SOCIAL_LINK_TYPES } from './constants.js';
+import * as utils from './utility.js';
+
+// Subdomains that serve the same pages as the main site
+const MIRROR_SUBDOMAINS = /^(?:www|m|mobile|web)\./;
+
+// Query parameters that identify the linked content (everything else is tracking)
+const CONTENT_QUERY_PARAMS = ['v', 'id', 'list'];
+
+/**
+ * Canonicalizes a link: https, no www./mobile subdomain, no tracking parameters,
+ * fragment or trailing slash
+ * @param {URL} urlObj - Parsed link
+ * @returns {string} Canonical URL
+ */
+function canonicalizeUrl(urlObj) {
+    const hostname = urlObj.hostname.toLowerCase().replace(MIRROR_SUBDOMAINS, '');
+    const pathname = urlObj.pathname.replace(/\/+$/, '');
+    const query = new URLSearchParams(
+        [...urlObj.searchParams].filter(([key]) => CONTENT_QUERY_PARAMS.includes(key)),
+    ).toString();
+    
+    return `https://${hostname}${pathname}${query ? `?${query}` : ''}`;
+}
+
+// Path rule for user-defined platforms without their own: the first path segment is the handle
+const DEFAULT_PATH_RULES = [{ pattern: /^\/@?(?<handle>[\w.-]+)\/?$/, type: SOCIAL_LINK_TYPES.PROFILE }];
+
+/**
+ * Finds the platform a link belongs to, by hostname (see utils.matchDomain)
+ * @param {string} url - Link
+ * @param {Object} rules - Platform rules (see SOCIAL_PLATFORMS)
+ * @returns {Object|null} { platform, rule, subdomain } or null for links on other sites
+ */
+export function findSocialPlatform(url, rules = SOCIAL_PLATFORMS) {
+    for (const [platform, rule] of Object.entries(rules)) {
+        const pattern = utils.matchDomain(url, rule.hosts);
+        if (pattern) {
+            const host = pattern.split('/')[0].toLowerCase();
+            const hostname = new URL(url).hostname.toLowerCase();
+            const subdomain = hostname.slice(0, -host.length - 1).replace(MIRROR_SUBDOMAINS, '').replace(/^(?:www|m|mobile|web)$/, '');
+            return { platform, rule, subdomain };
+        }
+    }
+    return null;
+}
+
+/**
+ * Compiles a user-defined platform from input into a platform rule
+ * @param {string} name - Platform name (the output field is `<name>Urls`)
+ * @param {Object} definition - { hosts, profileUrl, paths: [{ pattern, type }], requiredPaths,
+ *     reserved, caseInsensitive, subdomainHandle, stripQuery }; patterns are regex strings
+ * @returns {Object} Platform rule
+ * @throws {Error} If the name, hosts or a path rule is invalid
+ */
+export function compileSocialPlatform(name, definition) {
+    if (!/^[a-z][a-z0-9]*$/i.test(name) || name === 'website') {
+        throw new Error(`Invalid platform name "${name}"`);
+    }
+    
+    const hosts = (Array.isArray(definition?.hosts) ? definition.hosts : [])
+        .filter(host => typeof host === 'string' && host.trim())
+        .map(host => host.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, ''));
+    if (hosts.length === 0) {
+        throw new Error(`Platform "${name}" has no hosts`);
+    }
+    
+    const paths = Array.isArray(definition.paths) && definition.paths.length > 0
+        ? definition.paths.map(({ pattern, type = SOCIAL_LINK_TYPES.PROFILE, profileUrl } = {}) => {
+            if (!Object.values(SOCIAL_LINK_TYPES).includes(type)) {
+                throw new Error(`Unknown link type "${type}" for platform "${name}"`);
+            }
+            return { pattern: pattern instanceof RegExp ? pattern : new RegExp(pattern), type, profileUrl };
+        })
+        : DEFAULT_PATH_RULES;
+    
+    return {
+        hosts,
+        paths,
+        profileUrl: typeof definition.profileUrl === 'string' ? definition.profileUrl : undefined,
+        requiredPaths: Array.isArray(definition.requiredPaths) ? definition.requiredPaths : undefined,
+        reserved: Array.isArray(definition.reserved) ? definition.reserved.map(segment => String(segment).toLowerCase()) : undefined,
+        caseInsensitive: Boolean(definition.caseInsensitive),
+        subdomainHandle: Boolean(definition.subdomainHandle),
+        stripQuery: Boolean(definition.stripQuery),
+    };
+}
+
+/**
+ * Builds the platform rules from the built-in platforms and user-defined ones
+ * (a user-defined platform replaces a built-in one of the same name)
+ * @param {Object} customPlatforms - Platform name -> definition (see compileSocialPlatform)
+ * @returns {Object} Platform rules
+ */
+export function createSocialPlatforms(customPlatforms = {}) {
+    const platforms = { ...SOCIAL_PLATFORMS };
+    for (const [name, definition] of Object.entries(customPlatforms || {})) {
+        platforms[name] = compileSocialPlatform(name, definition);
+    }
+    return platforms;
+}
+
+/**
+ * Reads a social link into its platform, link type and handle
+ * @param {string} url - Link (YouTube redirect links are resolved)
+ * @param {Object} rules - Platform rules (see SOCIAL_PLATFORMS)
+ * @returns {Object|null} { platform, linkType, handle, profileUrl, url } or null if the
+ *     link is not on a known platform
+ */
+export function parseSocialUrl(url, rules = SOCIAL_PLATFORMS) {
+    let urlObj;
+    try {
+        urlObj = new URL(utils.resolveRedirectUrl(url));
+    } catch {
+        return null;
+    }
+    if (!/^https?:$/.test(urlObj.protocol)) return null;
+    
+    const match = findSocialPlatform(urlObj.href, rules);
+    if (!match) return null;
+    
+    const { platform, rule, subdomain } = match;
+    const normalizeHandle = handle => (handle && rule.caseInsensitive ? handle.toLowerCase() : handle) || null;
+    const reserved = rule.reserved || [];
+    
+    let linkType = SOCIAL_LINK_TYPES.OTHER;
+    let handle = rule.subdomainHandle ? normalizeHandle(subdomain) : null;
+    let groups = {};
+    
+    for (const pathRule of rule.paths) {
+        const pathMatch = pathRule.pattern.exec(urlObj.pathname);
+        if (!pathMatch) continue;
+        
+        const candidate = pathMatch.groups?.handle
+            || (pathRule.handleParam && urlObj.searchParams.get(pathRule.handleParam))
+            || handle;
+        if (candidate && reserved.includes(candidate.toLowerCase())) continue;
+        
+        linkType = pathRule.type;
+        handle = normalizeHandle(candidate);
+        groups = { ...pathMatch.groups, template: pathRule.profileUrl };
+        break;
+    }
+    
+    // A profile or community link without a handle is a site page
+    if (!handle && (linkType === SOCIAL_LINK_TYPES.PROFILE || linkType === SOCIAL_LINK_TYPES.COMMUNITY)) {
+        linkType = SOCIAL_LINK_TYPES.OTHER;
+    }
+    
+    const template = groups.template || rule.profileUrl;
+    const profileUrl = handle && template && linkType !== SOCIAL_LINK_TYPES.OTHER
+        ? template.replace(/\{(\w+)\}/g, (_, name) => (name === 'handle' ? handle : groups[name] || ''))
+        : null;
+    
+    return {
+        platform,
+        linkType,
+        handle,
+        profileUrl,
+        url: canonicalizeUrl(urlObj),
+    };
+}
+
+/**
+ * Collects the social profiles and posts linked from a channel, deduplicated by
+ * canonical URL, with every page each one was found on
+ * @param {Object[]} sources - Link sources { urls, foundIn } (foundIn is the page the links are on)
+ * @param {Object} rules - Platform rules (see SOCIAL_PLATFORMS)
+ * @returns {Object[]} Social profiles { platform, linkType, handle, profileUrl, url, sourceUrl, foundIn }
+ */
+export function collectSocialProfiles(sources, rules = SOCIAL_PLATFORMS) {
+    const profiles = new Map();
+    
+    for (const { urls = [], foundIn } of sources) {
+        for (const sourceUrl of urls) {
+            const parsed = parseSocialUrl(sourceUrl, rules);
+            if (!parsed) continue;
+            
+            // Profiles are the same whatever link led to them; posts are distinct by URL
+            const isProfile = parsed.linkType === SOCIAL_LINK_TYPES.PROFILE || parsed.linkType === SOCIAL_LINK_TYPES.COMMUNITY;
+            const key = `${parsed.platform}|${parsed.linkType}|${isProfile ? parsed.profileUrl : parsed.url}`;
+            const existing = profiles.get(key);
+            if (existing) {
+                if (foundIn && !existing.foundIn.includes(foundIn)) existing.foundIn.push(foundIn);
+                continue;
+            }
+            
+            profiles.set(key, {
+                ...parsed,
+                sourceUrl: utils.resolveRedirectUrl(sourceUrl),
+                foundIn: foundIn ? [foundIn] : [],
+            });
+        }
+    }
+    
+    return [...profiles.values()];
+}
+
+/**
+ * Builds a check for links to the channel itself (its handle, ID or custom URL on YouTube),
+ * which are not social profiles of the channel
+ * @param {Object} identity - Channel identity (see extractChannelIdentity)
+ * @param {string} channelUrl - Channel URL
+ * @returns {Function} Takes a link and tells whether it points to the channel
+ */
+export function createOwnChannelCheck(identity, channelUrl) {
+    const ownPaths = [
+        identity.channelHandle && `/${identity.channelHandle}`,
+        identity.channelId && `/channel/${identity.channelId}`,
+        ...[channelUrl, identity.channelVanityUrl, identity.channelCanonicalUrl].map(url => {
+            try {
+                return url && new URL(url).pathname;
+            } catch {
+                return null;
+            }
+        }),
+    ]
+        .filter(ownPath => ownPath && ownPath !== '/')
+        .map(ownPath => ownPath.toLowerCase().replace(/\/+$/, ''));
+    
+    return (url) => {
+        if (!utils.matchDomain(url, ['youtube.com'])) return false;
+        const pathname = new URL(url).pathname.toLowerCase();
+        return ownPaths.some(ownPath => pathname === ownPath || pathname.startsWith(`${ownPath}/`));
+    };
+}
@@ -0,0 +1,109 @@
+/**
+ * Topic classifier for YouTube Channel Scraper
+ * Tags channels with topics from a taxonomy (topic -> keywords or regexes) by matching
+ * the channel keywords, description, video titles and link domains. Runs locally.
+ */
+
+import { DEFAULT_TOPIC_TAXONOMY, TOPIC_SOURCE_WEIGHTS } from './constants.js';
+import * as utils from './utility.js';
+
+// Score at which confidence reaches 0.5
+const HALF_CONFIDENCE_SCORE = 5;
+
+/**
+ * Compiles a taxonomy term. "/pattern/flags" strings become regexes, other terms
+ * match as whole words or phrases, case-insensitively.
+ * @param {string} term - Taxonomy term
+ * @returns {RegExp} Compiled term
+ * @throws {SyntaxError} If a regex term is invalid
+ */
+export function compileTopicTerm(term) {
+    const regexTerm = term.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexTerm) {
+        // Stateful flags would make repeated test() calls skip matches
+        const flags = regexTerm[2].replace(/[gy]/g, '');
+        return new RegExp(regexTerm[1], flags.includes('i') ? flags : `${flags}i`);
+    }
+    
+    const escaped = term.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?![\\p{L}\\p{N}])`, 'iu');
+}
+
+/**
+ * Gathers the texts a channel is classified by
+ * @param {Object} channel - Channel data
+ * @param {string[]} channel.keywords - Channel keywords
+ * @param {string} channel.description - Channel description
+ * @param {string[]} channel.videoTitles - Titles of uploads, Shorts, streams and playlists
+ * @param {string[]} channel.urls - Links found on the channel
+ * @returns {Object} Texts keyed by source (see TOPIC_SOURCE_WEIGHTS)
+ */
+function collectSources({ keywords = [], description = '', videoTitles = [], urls = [] }) {
+    const domains = urls
+        .map(url => {
+            try {
+                return new URL(utils.resolveRedirectUrl(url)).hostname.replace(/^www\./, '');
+            } catch {
+                return null;
+            }
+        })
+        .filter(Boolean);
+    
+    return {
+        keywords: keywords.join(' \n '),
+        description,
+        videoTitles,
+        linkDomains: [...new Set(domains)].join(' \n '),
+    };
+}
+
+/**
+ * Creates a classifier for a taxonomy
+ * @param {Object} taxonomy - Topic -> array of terms; defaults to DEFAULT_TOPIC_TAXONOMY
+ * @param {Object} options - Classifier options
+ * @param {number} options.minConfidence - Topics below this confidence are dropped
+ * @returns {Object} Classifier with a classify method
+ */
+export function createTopicClassifier(taxonomy = DEFAULT_TOPIC_TAXONOMY, { minConfidence = 0.2 } = {}) {
+    const compiled = Object.entries(taxonomy).map(([topic, terms]) => ({
+        topic,
+        terms: terms.map(term => ({ term, pattern: compileTopicTerm(term) })),
+    }));
+    
+    return {
+        /**
+         * Scores each topic by the terms found per source, weighted by source. Each video
+         * title counts separately, so topics the channel keeps publishing on score higher.
+         * @param {Object} channel - Channel data (see collectSources)
+         * @returns {Object[]} Topics { topic, confidence, matchedTerms }, most confident first
+         */
+        classify(channel) {
+            const sources = collectSources(channel);
+            
+            return compiled
+                .map(({ topic, terms }) => {
+                    let score = 0;
+                    const matchedTerms = new Set();
+                    
+                    for (const [source, weight] of Object.entries(TOPIC_SOURCE_WEIGHTS)) {
+                        const texts = [sources[source]].flat().filter(Boolean);
+                        for (const { term, pattern } of terms) {
+                            const hits = texts.filter(text => pattern.test(text)).length;
+                            if (hits > 0) {
+                                score += weight * hits;
+                                matchedTerms.add(term);
+                            }
+                        }
+                    }
+                    
+                    return {
+                        topic,
+                        confidence: Math.round((score / (score + HALF_CONFIDENCE_SCORE)) * 100) / 100,
+                        matchedTerms: [...matchedTerms],
+                    };
+                })
+                .filter(result => result.matchedTerms.length > 0 && result.confidence >= minConfidence)
+                .sort((a, b) => b.confidence - a.confidence);
+        },
+    };
+}
@@ -5,7 +5,16 @@
 
 import { Actor, log } from 'apify';
 import { ProxyConfiguration } from 'crawlee';
-import { TIMEOUTS, NUMBER_MULTIPLIERS, REGEX_PATTERNS, ERROR_MESSAGES } from './constants.js';
+import {
+    TIMEOUTS,
+    COUNT_UNITS,
+    COUNT_UNITS_BY_LANGUAGE,
+    MONTH_NAMES,
+    REGEX_PATTERNS,
+    ERROR_MESSAGES,
+    RELATIVE_TIME_UNITS,
+    RELATIVE_TIME_UNIT_WORDS,
+} from './constants.js';
 
 /**
  * Waits for an element and extracts data using CSS selector
@@ -99,30 +108,154 @@ export async function getDataFromDetailsTable(page, tableXpath, labelText) {
 }
 
 /**
- * Converts formatted number strings (1.5K, 2M, etc.) to actual numbers
- * @param {string} numStr - Formatted number string
- * @returns {number} Parsed number
+ * Normalizes localized display text for parsing: full-width, Arabic-Indic and Devanagari
+ * digits to ASCII, non-breaking spaces to spaces, bidi marks removed, lowercased
+ * @param {string} text - Display text
+ * @returns {string} Normalized text
  */
-export function unformatNumbers(numStr) {
+function normalizeDisplayText(text) {
+    return text
+        .normalize('NFKC')
+        .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06f0))
+        .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+        .replace(/٫/g, '.')
+        .replace(/٬/g, ',')
+        .replace(/[\u00a0\u202f]/g, ' ')
+        .replace(/[\u200e\u200f\u061c]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Finds the count abbreviation at the start of the text following a number
+ * @param {string} text - Lowercased text after the number
+ * @param {string} locale - Display language (e.g. 'de', 'pt-BR'); selects ambiguous abbreviations
+ * @returns {number|null} Multiplier or null if no abbreviation follows
+ */
+function findCountMultiplier(text, locale) {
+    const language = (locale || '').split(/[-_]/)[0].toLowerCase();
+    const units = { ...COUNT_UNITS, ...COUNT_UNITS_BY_LANGUAGE[language] };
+    const rest = text.trimStart();
+    
+    const unit = Object.keys(units)
+        .sort((a, b) => b.length - a.length)
+        .find(key => {
+            if (!rest.startsWith(key)) return false;
+            // Latin, Greek and Cyrillic abbreviations must not be the start of a longer word
+            const isWordUnit = /[a-zà-ÿα-ωа-яё]$/.test(key);
+            return !isWordUnit || !/^[a-zà-ÿα-ωа-яё]/.test(rest.slice(key.length));
+        });
+    
+    return unit ? units[unit] : null;
+}
+
+/**
+ * Converts YouTube count texts to numbers across display languages: decimal comma or point,
+ * localized abbreviations ("3,4 Mio.", "12 mil"), CJK units ("1.2万") and Indian numbering ("2.5 lakh")
+ * @param {string} numStr - Count text as displayed (e.g. "1.2M subscribers")
+ * @param {string} locale - Display language of the page (optional, resolves ambiguous abbreviations)
+ * @returns {number} Parsed number (0 if the text holds no number)
+ */
+export function unformatNumbers(numStr, locale = '') {
     if (!numStr || typeof numStr !== 'string') return 0;
     
-    // Extract numeric part
-    const cleanedStr = numStr.replace(REGEX_PATTERNS.NUMBER_EXTRACTION, '');
-    if (!cleanedStr) return 0;
+    const text = normalizeDisplayText(numStr);
     
-    // Parse the number
-    const number = parseFloat(cleanedStr.replace(/,/g, ''));
-    if (isNaN(number)) return 0;
+    const match = text.match(REGEX_PATTERNS.COUNT_NUMBER);
+    if (!match) return 0;
     
-    // Find multiplier (K, M, B, etc.)
-    const multiplierMatch = numStr.match(REGEX_PATTERNS.MULTIPLIER_EXTRACTION);
-    const multiplierKey = multiplierMatch?.[0]?.toUpperCase();
+    const multiplier = findCountMultiplier(text.slice(match.index + match[0].length), locale);
+    const digits = match[0].replace(/['’ ]/g, '');
     
-    if (multiplierKey && NUMBER_MULTIPLIERS[multiplierKey]) {
-        return Math.round(number * NUMBER_MULTIPLIERS[multiplierKey]);
+    // Plain counts are whole numbers, so every separator groups thousands.
+    // Abbreviated counts ("1,2 M") use the last separator as the decimal mark.
+    if (!multiplier) {
+        return parseInt(digits.replace(/[.,]/g, ''), 10) || 0;
     }
     
-    return Math.round(number);
+    const decimalIndex = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+    const number = decimalIndex === -1
+        ? parseInt(digits, 10)
+        : parseFloat(`${digits.slice(0, decimalIndex).replace(/[.,]/g, '')}.${digits.slice(decimalIndex + 1)}`);
+    
+    return Number.isNaN(number) ? 0 : Math.round(number * multiplier);
+}
+
+/**
+ * Builds an ISO 8601 date (YYYY-MM-DD) if the parts form a real calendar date
+ * @param {number} year - Full year (Buddhist Era years are converted)
+ * @param {number} month - Month 1-12
+ * @param {number} day - Day of month
+ * @returns {string|null} ISO date or null
+ */
+function toIsoDate(year, month, day) {
+    const gregorianYear = year > 2400 ? year - 543 : year;
+    const date = new Date(Date.UTC(gregorianYear, month - 1, day));
+    
+    if (date.getUTCFullYear() !== gregorianYear || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses a channel join date as displayed in any supported YouTube language
+ * ("Joined Jan 15, 2017", "Beigetreten am 15.01.2017", "15 janv. 2017", "2017年1月15日", ...)
+ * @param {string} text - Join date text
+ * @param {string} locale - Display language of the page (decides D/M vs M/D for numeric dates;
+ *     'en', 'en-US' and no language read M/D)
+ * @returns {string|null} ISO 8601 date (YYYY-MM-DD) or null if not parseable
+ */
+export function parseJoinedDate(text, locale = '') {
+    if (!text || typeof text !== 'string') return null;
+    
+    const normalized = normalizeDisplayText(text);
+    
+    // Numeric dates: year first (CJK, Korean) or year last (European, Arabic)
+    const ymd = normalized.match(REGEX_PATTERNS.DATE_YMD);
+    if (ymd) {
+        return toIsoDate(Number(ymd[1]), Number(ymd[2]), Number(ymd[3]));
+    }
+    
+    const dmy = normalized.match(REGEX_PATTERNS.DATE_DMY);
+    if (dmy) {
+        const [first, second, year] = [Number(dmy[1]), Number(dmy[2]), Number(dmy[3])];
+        // US order in YouTube's plain English UI (the default) and en-US; other English regions are day-first
+        const monthFirst = second > 12 || (first <= 12 && /^(?:en(?:[-_]us)?)?$/i.test(locale || ''));
+        return monthFirst ? toIsoDate(year, first, second) : toIsoDate(year, second, first);
+    }
+    
+    // Month names: "jan 15, 2017", "15 de jan. de 2017", "15 thg 1, 2017"
+    const yearMatch = normalized.match(/(?<!\d)(\d{4})(?!\d)/);
+    if (!yearMatch) return null;
+    const rest = normalized.replace(yearMatch[0], ' ');
+    
+    let month = Number(rest.match(/thg\s*(\d{1,2})/)?.[1]) || null;
+    const withoutMonth = rest.replace(/thg\s*\d{1,2}/, ' ');
+    
+    if (!month) {
+        const monthName = Object.keys(MONTH_NAMES)
+            .sort((a, b) => b.length - a.length)
+            .find(name => new RegExp(`(^|[^\\p{L}])${name.replace(/\./g, '\\.')}`, 'u').test(rest));
+        month = monthName ? MONTH_NAMES[monthName] : null;
+    }
+    
+    const day = withoutMonth.match(/(?<!\d)(\d{1,2})(?!\d)/);
+    if (!month || !day) return null;
+    
+    return toIsoDate(Number(yearMatch[1]), month, Number(day[1]));
+}
+
+/**
+ * Counts whole days from an ISO date until now
+ * @param {string} isoDate - ISO 8601 date
+ * @param {Date} now - Reference date
+ * @returns {number|null} Days or null without a date
+ */
+export function daysSince(isoDate, now = new Date()) {
+    if (!isoDate) return null;
+    const days = Math.floor((now.getTime() - new Date(isoDate).getTime()) / RELATIVE_TIME_UNITS.day);
+    return Number.isNaN(days) ? null : days;
 }
 
 /**
@@ -261,18 +394,83 @@ export function extractUrlParameters(urls, paramName = 'q') {
         .filter(value => value !== null);
 }
 
+/**
+ * Resolves YouTube redirect links (/redirect?q=...) to their target URL
+ * @param {string} url - Absolute or site-relative URL
+ * @returns {string} Target URL, or the absolute input URL if it is not a redirect
+ */
+export function resolveRedirectUrl(url) {
+    if (!url || typeof url !== 'string') return '';
+    
+    try {
+        const urlObj = new URL(url, 'https://www.youtube.com');
+        const target = urlObj.pathname === '/redirect' ? urlObj.searchParams.get('q') : null;
+        return target || urlObj.toString();
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Finds the links written out in plain text (e.g. a video description), without the
+ * punctuation that ends the sentence around them
+ * @param {string} text - Text to search
+ * @returns {string[]} Unique valid URLs (YouTube redirect links resolved)
+ */
+export function extractUrlsFromText(text) {
+    if (!text || typeof text !== 'string') return [];
+    
+    const urls = (text.match(/https?:\/\/[^\s<>"'`]+/gi) || [])
+        .map(url => {
+            let trimmed = url.replace(/[.,;:!?'"]+$/, '');
+            // A closing bracket belongs to the text unless the URL opened it ("wiki/Foo_(bar)")
+            while (/[)\]}]$/.test(trimmed) && !/[([{]/.test(trimmed)) {
+                trimmed = trimmed.slice(0, -1).replace(/[.,;:!?'"]+$/, '');
+            }
+            return resolveRedirectUrl(trimmed);
+        })
+        .filter(isValidUrl);
+    
+    return [...new Set(urls)];
+}
+
+/**
+ * Finds the domain pattern a URL belongs to. Patterns match the hostname and its
+ * subdomains, so "x.com" matches mobile.x.com but not box.com, and may carry a path
+ * prefix ("discord.com/invite")
+ * @param {string} url - URL to match
+ * @param {string[]} patterns - Domain patterns
+ * @returns {string|null} Matching pattern or null
+ */
+export function matchDomain(url, patterns) {
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch {
+        return null;
+    }
+    
+    const hostname = urlObj.hostname.toLowerCase();
+    const pathname = urlObj.pathname.toLowerCase();
+    
+    return patterns.find(pattern => {
+        const [host, ...pathParts] = pattern.toLowerCase().split('/');
+        const pathPrefix = pathParts.length > 0 ? `/${pathParts.join('/')}` : '';
+        const hostMatches = hostname === host || hostname.endsWith(`.${host}`);
+        return hostMatches && (!pathPrefix || pathname === pathPrefix || pathname.startsWith(`${pathPrefix}/`));
+    }) || null;
+}
+
 /**
  * Filters URLs by domain patterns
  * @param {string[]} urls - Array of URLs to filter
- * @param {string[]} patterns - Domain patterns to match
+ * @param {string[]} patterns - Domain patterns to match (see matchDomain)
  * @returns {string[]} Filtered URLs
  */
 export function filterUrlsByDomain(urls, patterns) {
     if (!Array.isArray(urls) || !Array.isArray(patterns)) return [];
     
-    return urls.filter(url => 
-        patterns.some(pattern => url.includes(pattern))
-    );
+    return urls.filter(url => matchDomain(url, patterns));
 }
 
 /**
@@ -303,5 +501,204 @@ export function isValidUrl(str) {
     }
 }
 
+/**
+ * Reads the text out of a YouTube text object (simpleText, runs or view model content)
+ * @param {Object|string} textObj - YouTube text object
+ * @returns {string} Plain text or empty string
+ */
+export function getText(textObj) {
+    if (!textObj) return '';
+    if (typeof textObj === 'string') return textObj;
+    if (textObj.simpleText) return textObj.simpleText;
+    if (Array.isArray(textObj.runs)) return textObj.runs.map(run => run.text || '').join('');
+    if (typeof textObj.content === 'string') return textObj.content;
+    return '';
+}
+
+/**
+ * Reads a value from an object by a dotted path such as 'header.renderer.thumbnails[2].url'.
+ * A '[*]' segment matches the first array element that resolves the rest of the path.
+ * @param {Object} obj - Object to read from
+ * @param {string} path - Dotted path (see YT_DATA_PATHS)
+ * @returns {*} Value at the path or undefined
+ */
+export function getByPath(obj, path) {
+    const segments = path.replace(/\[(\d+|\*)\]/g, '.$1').split('.');
+    
+    const resolve = (value, index) => {
+        if (index === segments.length) return value;
+        if (value === null || value === undefined) return undefined;
+        
+        const segment = segments[index];
+        if (segment === '*') {
+            if (!Array.isArray(value)) return undefined;
+            for (const item of value) {
+                const result = resolve(item, index + 1);
+                if (result !== undefined) return result;
+            }
+            return undefined;
+        }
+        
+        return resolve(value[segment], index + 1);
+    };
+    
+    return resolve(obj, 0);
+}
+
+/**
+ * Recursively collects all renderer objects with the given key from a ytInitialData subtree.
+ * Matched renderers are not searched further.
+ * @param {Object} node - ytInitialData subtree
+ * @param {string} rendererName - Renderer key (e.g. 'videoRenderer')
+ * @param {Array} found - Accumulator used by the recursion
+ * @returns {Object[]} Matching renderer objects
+ */
+export function findRenderers(node, rendererName, found = []) {
+    if (!node || typeof node !== 'object') return found;
+    
+    if (Array.isArray(node)) {
+        node.forEach(child => findRenderers(child, rendererName, found));
+        return found;
+    }
+    
+    for (const [key, value] of Object.entries(node)) {
+        if (key === rendererName && value && typeof value === 'object') {
+            found.push(value);
+        } else {
+            findRenderers(value, rendererName, found);
+        }
+    }
+    
+    return found;
+}
+
+/**
+ * Picks the largest thumbnail URL from a YouTube thumbnail list
+ * @param {Object} thumbnail - Object with a thumbnails array
+ * @returns {string} Thumbnail URL or empty string
+ */
+export function getLargestThumbnail(thumbnail) {
+    const thumbnails = thumbnail?.thumbnails || thumbnail?.sources || [];
+    if (thumbnails.length === 0) return '';
+    
+    const largest = thumbnails.reduce((best, current) => 
+        (current.width || 0) >= (best.width || 0) ? current : best
+    );
+    const url = largest.url || '';
+    return url.startsWith('//') ? `https:${url}` : url;
+}
+
+/**
+ * Normalizes YouTube thumbnail lists to unique { url, width, height } entries, smallest first
+ * @param {...Object[]} lists - Thumbnail/source arrays from ytInitialData
+ * @returns {Object[]} Image variants
+ */
+export function normalizeThumbnails(...lists) {
+    const images = new Map();
+    
+    for (const thumbnail of lists.flat()) {
+        if (!thumbnail?.url) continue;
+        const url = thumbnail.url.startsWith('//') ? `https:${thumbnail.url}` : thumbnail.url;
+        if (!images.has(url)) {
+            images.set(url, { url, width: thumbnail.width || null, height: thumbnail.height || null });
+        }
+    }
+    
+    return Array.from(images.values()).sort((a, b) => (a.width || 0) - (b.width || 0));
+}
+
+/**
+ * Splits the channel keywords string ('gaming "lets play" minecraft') into keywords
+ * @param {string} keywords - Space separated keywords, multi-word ones in double quotes
+ * @returns {string[]} Keywords
+ */
+export function parseKeywords(keywords) {
+    if (!keywords || typeof keywords !== 'string') return [];
+    
+    const matches = keywords.match(/"[^"]*"|\S+/g) || [];
+    return [...new Set(matches.map(keyword => keyword.replace(/"/g, '').trim()).filter(Boolean))];
+}
+
+/**
+ * Converts relative time texts ("3 weeks ago", "vor 2 Tagen", "3日前") in any display
+ * language to an approximate ISO date
+ * @param {string} text - Relative time text
+ * @param {Date} now - Reference date
+ * @returns {string|null} ISO 8601 timestamp or null if not parseable
+ */
+export function parseRelativeDate(text, now = new Date()) {
+    if (!text || typeof text !== 'string') return null;
+    
+    const unitWords = Object.keys(RELATIVE_TIME_UNIT_WORDS).sort((a, b) => b.length - a.length);
+    for (const [, amount, word] of normalizeDisplayText(text).matchAll(/(\d+)\s*([\p{L}\p{M}]+)/gu)) {
+        const unitWord = unitWords.find(candidate => word.startsWith(candidate));
+        if (!unitWord) continue;
+        
+        const unitMs = RELATIVE_TIME_UNITS[RELATIVE_TIME_UNIT_WORDS[unitWord]];
+        return new Date(now.getTime() - parseInt(amount, 10) * unitMs).toISOString();
+    }
+    return null;
+}
+
+/**
+ * Parses a JSON object literal embedded in a page script, e.g. 'var ytInitialData = {...};'
+ * @param {string} text - Page HTML or script source
+ * @param {string} marker - Text right before the object (e.g. 'var ytInitialData = ')
+ * @param {number} fromIndex - Position to start searching from
+ * @returns {Object|null} Parsed object or null if not found or not valid JSON
+ */
+export function extractEmbeddedJson(text, marker, fromIndex = 0) {
+    const markerIndex = text?.indexOf(marker, fromIndex) ?? -1;
+    if (markerIndex === -1) return null;
+    
+    const start = text.indexOf('{', markerIndex + marker.length);
+    if (start === -1) return null;
+    
+    // Walk to the matching closing brace, skipping braces inside strings
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        
+        if (inString) {
+            if (char === '\\') i++;
+            else if (char === '"') inString = false;
+        } else if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            depth++;
+        } else if (char === '}' && --depth === 0) {
+            try {
+                return JSON.parse(text.slice(start, i + 1));
+            } catch {
+                return null;
+            }
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Parses the JSON YouTube embeds in the channel page HTML
+ * @param {string} html - Channel page HTML
+ * @returns {Object} { ytData, ytcfg } (empty objects when not found)
+ */
+export function parseEmbeddedData(html) {
+    const ytData = extractEmbeddedJson(html, 'var ytInitialData = ') ||
+                   extractEmbeddedJson(html, 'window["ytInitialData"] = ') ||
+                   {};
+    
+    // ytcfg is set in several chunks across the page
+    const ytcfg = {};
+    let index = html?.indexOf('ytcfg.set({') ?? -1;
+    while (index !== -1) {
+        Object.assign(ytcfg, extractEmbeddedJson(html, 'ytcfg.set(', index) || {});
+        index = html.indexOf('ytcfg.set({', index + 1);
+    }
+    
+    return { ytData, ytcfg };
+}
+
 // Legacy export for backward compatibility
 export const proxyConfiguration = createValidatedProxyConfiguration;
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Video descriptions for YouTube Channel Scraper
+ * Reads the descriptions of a channel's latest uploads from their player responses.
+ * Sponsor links, socials and business emails often appear there but not in the
+ * channel description.
+ */
+
+import { log } from 'apify';
+import { extractRecentUploads } from './contentExtractor.js';
+import * as utils from './utility.js';
+
+/**
+ * Reads the description of a video from its player response
+ * @param {Object} playerResponse - Player response (ytInitialPlayerResponse or InnerTube player)
+ * @returns {Object|null} { videoId, title, description } or null without video details
+ */
+export function parsePlayerDescription(playerResponse) {
+    const details = playerResponse?.videoDetails;
+    if (!details?.videoId) return null;
+    
+    return {
+        videoId: details.videoId,
+        title: details.title || '',
+        description: details.shortDescription
+            || utils.getText(playerResponse.microformat?.playerMicroformatRenderer?.description)
+            || '',
+    };
+}
+
+/**
+ * Fetches the descriptions of a channel's latest uploads
+ * @param {Object} loader - Tab loader (see channelTabs.js)
+ * @param {Object} options - Mining options
+ * @param {Object[]} options.videos - Uploads already collected (see extractRecentUploads), newest first;
+ *     the Videos tab is read when they are not given
+ * @param {number} options.maxVideos - Number of latest uploads to read
+ * @returns {Promise<Object[]>} Descriptions { videoId, url, title, description, links }
+ */
+export async function extractVideoDescriptions(loader, { videos, maxVideos }) {
+    const latest = (videos || await extractRecentUploads(loader, maxVideos)).slice(0, maxVideos);
+    const descriptions = [];
+    
+    for (const video of latest) {
+        const parsed = parsePlayerDescription(await loader.fetchPlayer(video.videoId));
+        if (!parsed) {
+            log.debug(`No description for video ${video.videoId}`);
+            continue;
+        }
+        
+        descriptions.push({
+            videoId: parsed.videoId,
+            url: `https://www.youtube.com/watch?v=${parsed.videoId}`,
+            title: parsed.title || video.title,
+            description: parsed.description,
+            links: utils.extractUrlsFromText(parsed.description),
+        });
+    }
+    
+    return descriptions;
+}
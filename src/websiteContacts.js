@@ -0,0 +1,307 @@
+/**
+ * Website contact crawl for YouTube Channel Scraper
+ * After the channel crawl, visits each channel's own websites (home page plus likely
+ * contact, about and press pages, bounded by depth and a page budget) and collects
+ * emails, phones and social links with the page each one was found on
+ */
+
+import { Actor, log } from 'apify';
+import { HttpCrawler, RequestQueue } from 'crawlee';
+import {
+    WEBSITE_CONTACT_PAGE_PATTERN,
+    WEBSITE_CONTACT_DEFAULTS,
+    WEBSITE_CONTACT_EXCLUDED_HOSTS,
+    CHANNEL_STATUS,
+} from './constants.js';
+import { extractContactInfo } from './channelParser.js';
+import { parseAnchorLinks } from './linkInBio.js';
+import { collectSocialProfiles, findSocialPlatform } from './socialProfiles.js';
+import { createEmailClassifier, normalizeEmail } from './emails.js';
+import { resolvePhoneRegion, normalizePhone, collectPhones } from './phones.js';
+import * as utils from './utility.js';
+
+// Links to files rather than pages
+const FILE_EXTENSIONS = /\.(pdf|zip|jpe?g|png|gif|svg|webp|mp3|mp4|mov|css|js|json|xml)$/i;
+
+/**
+ * Reads a hostname without the www. prefix
+ * @param {string} url - URL
+ * @returns {string} Hostname or empty string for invalid URLs
+ */
+function getSiteHost(url) {
+    try {
+        return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+/**
+ * Reads the contacts and links of a website page
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Page URL
+ * @param {string} region - Region for phone numbers without a country code (see resolvePhoneRegion)
+ * @returns {Object} { emails, phones, links }
+ */
+export function extractPageContacts(html, pageUrl, region) {
+    const links = parseAnchorLinks(html, pageUrl);
+    const visibleText = html
+        .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&#64;|&commat;/g, '@')
+        .replace(/&amp;/g, '&');
+    const textContacts = extractContactInfo(visibleText, region);
+    
+    const fromScheme = (scheme) => links
+        .filter(link => link.toLowerCase().startsWith(scheme))
+        .map(link => decodeURIComponent(link.slice(scheme.length).split('?')[0]).trim())
+        .filter(Boolean);
+    
+    return {
+        emails: [...new Set([...fromScheme('mailto:').map(normalizeEmail).filter(Boolean), ...textContacts.emails])],
+        phones: [...fromScheme('tel:').map(number => normalizePhone(number, region)).filter(Boolean), ...textContacts.phones],
+        links: links.filter(link => /^https?:/i.test(link)),
+    };
+}
+
+/**
+ * Picks the links of a page that likely lead to contact details on the same site
+ * @param {string[]} links - Absolute links on the page
+ * @param {string} pageUrl - Page URL
+ * @returns {string[]} Unique same-site contact page URLs without fragments
+ */
+export function findContactPageLinks(links, pageUrl) {
+    const siteHost = getSiteHost(pageUrl);
+    const pages = links
+        .filter(link => getSiteHost(link) === siteHost)
+        .map(link => {
+            const urlObj = new URL(link);
+            urlObj.hash = '';
+            return urlObj;
+        })
+        .filter(urlObj => WEBSITE_CONTACT_PAGE_PATTERN.test(urlObj.pathname) && !FILE_EXTENSIONS.test(urlObj.pathname))
+        .map(urlObj => urlObj.toString());
+    
+    return [...new Set(pages)];
+}
+
+/**
+ * Creates the collector shared by the channel handlers (which register websites) and
+ * the website crawl (which fills in contacts)
+ * @param {Object} options - Crawl limits
+ * @param {number} options.maxPagesPerChannel - Maximum website pages visited per channel
+ * @param {number} options.maxDepth - How many links away from the linked pages to follow
+ * @param {Object} options.socialPlatforms - Social platform rules (see createSocialPlatforms)
+ * @param {Object} options.emailClassifier - Email classifier (see createEmailClassifier)
+ * @param {string} options.baseUrl - Serve website pages from here instead (for fixtures):
+ *     https://example.com/contact is fetched from {baseUrl}/example.com/contact
+ * @returns {Object} Collector
+ */
+export function createWebsiteContactCollector({
+    maxPagesPerChannel = WEBSITE_CONTACT_DEFAULTS.MAX_PAGES_PER_CHANNEL,
+    maxDepth = WEBSITE_CONTACT_DEFAULTS.MAX_DEPTH,
+    socialPlatforms,
+    emailClassifier = createEmailClassifier(),
+    baseUrl = '',
+} = {}) {
+    const channels = new Map();
+    
+    /**
+     * Queues a page of a channel within its page budget
+     * @param {Object} channel - Channel entry
+     * @param {string} url - Page URL
+     * @returns {boolean} Whether the page is new and fits the budget
+     */
+    const reservePage = (channel, url) => {
+        if (channel.queuedUrls.has(url) || channel.queuedUrls.size >= maxPagesPerChannel) return false;
+        channel.queuedUrls.add(url);
+        return true;
+    };
+    
+    /**
+     * Builds a crawl request for a channel's website page
+     * @param {Object} channel - Channel entry
+     * @param {string} url - Page URL
+     * @param {number} depth - Links followed from the linked page
+     * @returns {Object} Request options
+     */
+    const toRequest = (channel, url, depth) => ({
+        url: baseUrl ? `${baseUrl.replace(/\/+$/, '')}/${new URL(url).hostname}${new URL(url).pathname}` : url,
+        uniqueKey: `website:${channel.channelURL}:${url}`,
+        userData: { websiteContactsOf: channel.channelURL, phoneRegion: channel.phoneRegion, depth, pageUrl: url },
+    });
+    
+    return {
+        maxPagesPerChannel,
+        maxDepth,
+        
+        /**
+         * Reads the URL of a crawled page: where it redirected to, or the website URL
+         * when pages are served from baseUrl
+         * @param {Object} request - Crawlee request of the page
+         * @returns {string} Page URL
+         */
+        getPageUrl(request) {
+            return (baseUrl && request.userData.pageUrl) || request.loadedUrl || request.url;
+        },
+        
+        /**
+         * Registers the websites of a saved channel record. Only the channel's own About
+         * links are used: page anchors, post and link-in-bio links often lead to other sites.
+         * @param {Object} channelData - Channel record (see buildChannelRecord)
+         */
+        addChannel(channelData) {
+            if (channelData.channelStatus !== CHANNEL_STATUS.ACTIVE || channels.has(channelData.channelURL)) return;
+            
+            const websiteUrls = [...new Set((channelData.channelLinks || [])
+                .map(link => link.url)
+                .filter(url => /^https?:/i.test(url || '')
+                    && !utils.matchDomain(url, WEBSITE_CONTACT_EXCLUDED_HOSTS)
+                    && !findSocialPlatform(url, socialPlatforms)))];
+            if (websiteUrls.length === 0) return;
+            
+            channels.set(channelData.channelURL, {
+                channelURL: channelData.channelURL,
+                channelId: channelData.channelId,
+                channelName: channelData.channelName,
+                websiteUrls,
+                phoneRegion: resolvePhoneRegion(channelData.channelLocation, channelData.locale || {}),
+                queuedUrls: new Set(),
+                pagesVisited: [],
+                emailSources: [],
+                phoneSources: [],
+                linkSources: [],
+            });
+        },
+        
+        /**
+         * Number of channels with websites to crawl
+         * @returns {number} Channel count
+         */
+        get channelCount() {
+            return channels.size;
+        },
+        
+        /**
+         * Lists the requests for the linked website pages, within each channel's budget
+         * @returns {Object[]} Request options
+         */
+        getStartRequests() {
+            return [...channels.values()].flatMap(channel => channel.websiteUrls
+                .filter(url => reservePage(channel, url))
+                .map(url => toRequest(channel, url, 0)));
+        },
+        
+        /**
+         * Records the contacts of a crawled page and lists the contact pages to visit next
+         * @param {Object} request - Crawlee request of the page
+         * @param {Object} page - Page contacts (see extractPageContacts)
+         * @returns {Object[]} Request options for the next pages
+         */
+        recordPage(request, page) {
+            const channel = channels.get(request.userData.websiteContactsOf);
+            if (!channel) return [];
+            
+            const pageUrl = this.getPageUrl(request);
+            channel.pagesVisited.push(pageUrl);
+            channel.emailSources.push({ emails: page.emails, foundIn: pageUrl });
+            channel.phoneSources.push({ phones: page.phones, foundIn: pageUrl });
+            channel.linkSources.push({ urls: page.links.filter(link => getSiteHost(link) !== getSiteHost(pageUrl)), foundIn: pageUrl });
+            
+            const depth = request.userData.depth || 0;
+            if (depth >= maxDepth) return [];
+            
+            return findContactPageLinks(page.links, pageUrl)
+                .filter(url => reservePage(channel, url))
+                .map(url => toRequest(channel, url, depth + 1));
+        },
+        
+        /**
+         * Builds one output item per channel
+         * @returns {Object[]} Website contact items
+         */
+        getResults() {
+            return [...channels.values()].map(channel => ({
+                channelURL: channel.channelURL,
+                channelId: channel.channelId,
+                channelName: channel.channelName,
+                websiteUrls: channel.websiteUrls,
+                pagesVisited: channel.pagesVisited,
+                emails: emailClassifier.collect(channel.emailSources),
+                phones: collectPhones(channel.phoneSources),
+                socialProfiles: collectSocialProfiles(channel.linkSources, socialPlatforms),
+                scrapedAt: new Date().toISOString(),
+            }));
+        },
+        
+        /**
+         * Pushes the results to a named dataset
+         * @param {string} datasetName - Named dataset to write to
+         */
+        async save(datasetName = WEBSITE_CONTACT_DEFAULTS.DATASET_NAME) {
+            const results = this.getResults();
+            if (results.length === 0) return;
+            
+            const dataset = await Actor.openDataset(datasetName);
+            await dataset.pushData(results);
+            log.info(`Saved website contacts of ${results.length} channels to dataset "${datasetName}"`);
+        },
+    };
+}
+
+/**
+ * Website crawl request handler
+ * @param {Object} context - Crawlee HttpCrawler context object
+ * @param {Object} collector - Website contact collector (see createWebsiteContactCollector)
+ */
+export async function handleWebsiteRequest({ request, body, crawler }, collector) {
+    const page = extractPageContacts(body.toString(), collector.getPageUrl(request), request.userData.phoneRegion);
+    const nextRequests = collector.recordPage(request, page);
+    
+    log.debug(`Website ${request.url}: ${page.emails.length} emails, ${page.phones.length} phones`);
+    
+    for (const nextRequest of nextRequests) {
+        await crawler.requestQueue.addRequest(nextRequest);
+    }
+}
+
+/**
+ * Crawls the websites registered with the collector on a request queue of its own
+ * (the results stay in the collector, see save)
+ * @param {Object} collector - Website contact collector (see createWebsiteContactCollector)
+ * @param {Object} options - Crawl options
+ * @param {Object} options.crawlerOptions - HttpCrawler options (proxy, concurrency, hooks)
+ * @param {Function} options.recordRequest - Called with (success, responseTime, rateLimited) after each page
+ */
+export async function crawlWebsiteContacts(collector, { crawlerOptions = {}, recordRequest = () => {} } = {}) {
+    // A queue of its own, so channel requests left over from the channel crawl are not picked up
+    const requestQueue = await RequestQueue.open(
+        `${WEBSITE_CONTACT_DEFAULTS.QUEUE_NAME}-${Actor.getEnv().actorRunId || Date.now()}`,
+    );
+    const startRequests = collector.getStartRequests();
+    await requestQueue.addRequests(startRequests);
+    
+    const crawler = new HttpCrawler({
+        ...crawlerOptions,
+        requestQueue,
+        maxRequestsPerCrawl: collector.channelCount * collector.maxPagesPerChannel,
+        requestHandler: async (context) => {
+            const startTime = Date.now();
+            let success = false;
+            try {
+                await handleWebsiteRequest(context, collector);
+                success = true;
+            } finally {
+                recordRequest(success, Date.now() - startTime, context.response?.statusCode === 429);
+            }
+        },
+        failedRequestHandler: async ({ request }, error) => {
+            log.debug(`Website page ${request.url} failed: ${error.message}`);
+        },
+    });
+    
+    log.info(`Crawling websites of ${collector.channelCount} channels (${startRequests.length} pages to start)`);
+    await crawler.run();
+    await requestQueue.drop();
+}
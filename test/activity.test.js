@@ -0,0 +1,56 @@
+import assert from 'assert/strict';
+import { parseRelativeDate } from '../src/utility.js';
+import { validateInput } from '../src/inputValidator.js';
+
+const NOW = new Date('2026-01-31T00:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const daysBefore = days => new Date(NOW.getTime() - days * DAY).toISOString();
+
+describe('Relative published dates', () => {
+    it('reads English texts', () => {
+        assert.equal(parseRelativeDate('3 weeks ago', NOW), daysBefore(21));
+        assert.equal(parseRelativeDate('Streamed 2 days ago', NOW), daysBefore(2));
+    });
+    
+    it('reads texts in other display languages', () => {
+        assert.equal(parseRelativeDate('vor 2 Tagen', NOW), daysBefore(2));
+        assert.equal(parseRelativeDate('il y a 3 semaines', NOW), daysBefore(21));
+        assert.equal(parseRelativeDate('hace 1 año', NOW), daysBefore(365));
+        assert.equal(parseRelativeDate('Transmitido há 5 dias', NOW), daysBefore(5));
+        assert.equal(parseRelativeDate('3 дня назад', NOW), daysBefore(3));
+        assert.equal(parseRelativeDate('2 gün önce', NOW), daysBefore(2));
+        assert.equal(parseRelativeDate('3日前', NOW), daysBefore(3));
+        assert.equal(parseRelativeDate('1 个月前', NOW), daysBefore(30));
+        assert.equal(parseRelativeDate('4주 전', NOW), daysBefore(28));
+        assert.equal(parseRelativeDate('قبل ٣ أيام', NOW), daysBefore(3));
+        assert.equal(parseRelativeDate('2 सप्ताह पहले', NOW), daysBefore(14));
+    });
+    
+    it('returns null without a number and unit', () => {
+        assert.equal(parseRelativeDate('Premiered Jan 3, 2026', NOW), null);
+        assert.equal(parseRelativeDate('', NOW), null);
+        assert.equal(parseRelativeDate(null, NOW), null);
+    });
+});
+
+describe('Activity thresholds', () => {
+    const validate = thresholds => validateInput({ keywords: ['music'], ...thresholds }).sanitizedInput;
+    
+    it('swaps thresholds given in the wrong order', () => {
+        const input = validate({ activeWithinDays: 200, dormantAfterDays: 60 });
+        assert.equal(input.activeWithinDays, 60);
+        assert.equal(input.dormantAfterDays, 200);
+    });
+    
+    it('checks a threshold given alone against the other default', () => {
+        assert.equal(validate({ activeWithinDays: 365 }).dormantAfterDays, 365);
+        assert.equal(validate({ dormantAfterDays: 14 }).activeWithinDays, 14);
+    });
+    
+    it('leaves consistent thresholds alone', () => {
+        const input = validate({ activeWithinDays: 60 });
+        assert.equal(input.activeWithinDays, 60);
+        assert.equal(input.dormantAfterDays, undefined);
+    });
+});
@@ -0,0 +1,26 @@
+import assert from 'assert/strict';
+import { claimChannel, releaseChannel } from '../src/channelRecord.js';
+
+describe('Channel claims', () => {
+    it('lets only the first request for a channel through', () => {
+        const options = { processedChannelIds: new Set() };
+        assert.equal(claimChannel('UC123', options), true);
+        assert.equal(claimChannel('UC123', options), false);
+        assert.equal(claimChannel('UC456', options), true);
+    });
+    
+    it('lets a released channel be claimed again', () => {
+        const options = { processedChannelIds: new Set() };
+        claimChannel('UC123', options);
+        releaseChannel('UC123', options);
+        assert.equal(claimChannel('UC123', options), true);
+    });
+    
+    it('does not track requests without a channel ID or tracking set', () => {
+        const options = { processedChannelIds: new Set() };
+        assert.equal(claimChannel('', options), true);
+        assert.equal(claimChannel('', options), true);
+        assert.equal(claimChannel('UC123', {}), true);
+        assert.equal(options.processedChannelIds.size, 0);
+    });
+});
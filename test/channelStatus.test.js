@@ -0,0 +1,49 @@
+import assert from 'assert/strict';
+import { detectChannelStatus } from '../src/channelParser.js';
+import { CHANNEL_STATUS } from '../src/constants.js';
+
+const errorPage = (text, extra = {}) => ({
+    alerts: [{ alertRenderer: { type: 'ERROR', text: { simpleText: text } } }],
+    ...extra,
+});
+
+const statusOf = (...args) => detectChannelStatus(...args).channelStatus;
+
+describe('Channel status', () => {
+    it('treats pages without an error alert as active', () => {
+        const page = { alerts: [{ alertRenderer: { type: 'INFO', text: { simpleText: 'Country changed' } } }] };
+        assert.equal(statusOf(page, 200), CHANNEL_STATUS.ACTIVE);
+    });
+    
+    it('reads the age gate renderer', () => {
+        const page = { contents: { channelAgeGateRenderer: { channelTitle: 'Late Night', header: { simpleText: 'Altersbeschränkt' } } } };
+        assert.deepEqual(detectChannelStatus(page, 200), {
+            channelStatus: CHANNEL_STATUS.AGE_RESTRICTED,
+            channelStatusReason: 'Altersbeschränkt',
+            channelName: 'Late Night',
+        });
+    });
+    
+    it('compares the available countries with the page region', () => {
+        const page = errorPage('Dieser Kanal ist nicht verfügbar.', {
+            microformat: { microformatDataRenderer: { availableCountries: ['US', 'CA'] } },
+        });
+        assert.equal(statusOf(page, 200, 'de'), CHANNEL_STATUS.GEO_BLOCKED);
+        assert.equal(statusOf(page, 200, 'US'), CHANNEL_STATUS.NOT_FOUND);
+    });
+    
+    it('reads alert texts in other display languages', () => {
+        assert.equal(statusOf(errorPage('Dieses Konto wurde gekündigt, weil es gegen die Richtlinien verstößt.')), CHANNEL_STATUS.TERMINATED);
+        assert.equal(statusOf(errorPage('Cette chaîne n\'est pas disponible dans votre pays.')), CHANNEL_STATUS.GEO_BLOCKED);
+        assert.equal(statusOf(errorPage('このアカウントは停止されています。')), CHANNEL_STATUS.TERMINATED);
+        assert.equal(statusOf(errorPage('Este canal no existe.'), 404), CHANNEL_STATUS.NOT_FOUND);
+    });
+    
+    it('does not take any mention of a country for a region block', () => {
+        assert.equal(statusOf(errorPage('This channel does not exist. Browse country music instead.'), 404), CHANNEL_STATUS.NOT_FOUND);
+    });
+    
+    it('treats error responses without an alert as missing channels', () => {
+        assert.equal(statusOf({}, 404), CHANNEL_STATUS.NOT_FOUND);
+    });
+});
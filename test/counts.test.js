@@ -0,0 +1,38 @@
+import assert from 'assert/strict';
+import { unformatNumbers } from '../src/utility.js';
+
+describe('Count texts', () => {
+    const cases = [
+        ['1.2M subscribers', 'en', 1200000],
+        ['887 videos', 'en', 887],
+        ['1,234,567 views', 'en', 1234567],
+        ['1,2 M', 'es', 1200000],
+        ['3,4 Mio.', 'de', 3400000],
+        ['1.234 Abonnenten', 'de', 1234],
+        ['12 mil', 'es', 12000],
+        ['12 mil suscriptores', 'es', 12000],
+        ['2.1 mil millones', 'es', 2100000000],
+        ['2,1 mil M de suscriptores', 'es', 2100000000],
+        ['1,3 millones', 'es', 1300000],
+        ['2,1 mil milhões', 'pt', 2100000000],
+        ['2,1 mi de inscritos', 'pt', 2100000],
+        ['1,5 bi', 'pt', 1500000000],
+        ['1.2万', 'ja', 12000],
+        ['3.4억', 'ko', 340000000],
+        ['2.5 lakh', 'hi', 250000],
+        ['1 crore', 'hi', 10000000],
+        ['١٫٢ مليون', 'ar', 1200000],
+    ];
+    
+    for (const [text, locale, expected] of cases) {
+        it(`reads "${text}" (${locale})`, () => {
+            assert.equal(unformatNumbers(text, locale), expected);
+        });
+    }
+    
+    it('returns 0 without a number', () => {
+        assert.equal(unformatNumbers('No subscribers', 'en'), 0);
+        assert.equal(unformatNumbers('', 'en'), 0);
+        assert.equal(unformatNumbers(null), 0);
+    });
+});
@@ -0,0 +1,43 @@
+import assert from 'assert/strict';
+import { extractEmails, createEmailClassifier } from '../src/emails.js';
+
+describe('Emails', () => {
+    it('reads bracketed obfuscation', () => {
+        assert.deepEqual(extractEmails('Business inquiries: mrbeast [at] nightmedia [dot] co'), ['mrbeast@nightmedia.co']);
+        assert.deepEqual(extractEmails('hello{at}studio{dot}io'), ['hello@studio.io']);
+        assert.deepEqual(extractEmails('jane dot doe [at] outlook dot com'), ['jane.doe@outlook.com']);
+        assert.deepEqual(extractEmails('business: name(at)gmail'), ['name@gmail.com']);
+    });
+    
+    it('reads fullwidth, spaced and lookalike characters', () => {
+        assert.deepEqual(extractEmails('Booking → booking＠artist．com'), ['booking@artist.com']);
+        assert.deepEqual(extractEmails('mgmt @ viralnation . com'), ['mgmt@viralnation.com']);
+        assert.deepEqual(extractEmails('spоnsor@creatоr.com'), ['sponsor@creator.com']);
+    });
+    
+    it('leaves prose with "at" and "dot" alone', () => {
+        assert.deepEqual(extractEmails('see you at VidCon at Anaheim dot Convention'), []);
+        assert.deepEqual(extractEmails('meet at school dot com'), []);
+        assert.deepEqual(extractEmails('Meet me at the park. I arrived at noon.'), []);
+    });
+    
+    it('drops image names that look like addresses', () => {
+        assert.deepEqual(extractEmails('logo@2x.png and sprite@3x.webp'), []);
+    });
+    
+    it('classifies and orders addresses by category', () => {
+        const classifier = createEmailClassifier({ agencyDomains: ['randomagency.com'] });
+        const emails = classifier.collect([
+            { emails: ['fan@gmail.com', 'press@creator.com'], foundIn: 'about' },
+            { emails: ['talent@randomagency.com', 'MAILTO:Press@creator.com?subject=x'], foundIn: 'linkinbio' },
+        ]);
+        
+        assert.deepEqual(emails.map(email => [email.email, email.category]), [
+            ['talent@randomagency.com', 'management'],
+            ['press@creator.com', 'business'],
+            ['fan@gmail.com', 'personal'],
+        ]);
+        assert.deepEqual(emails[1].foundIn, ['about', 'linkinbio']);
+        assert.equal(emails[2].isFreeMail, true);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * Local servers for the fixtures in fixtures/
+ */
+
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { isDeepStrictEqual } from 'util';
+
+/**
+ * Starts a server on a free local port
+ * @param {Function} handler - Node.js request handler
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+async function listen(handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+/**
+ * Starts an InnerTube stub that replays request/response pairs: a request gets the
+ * response of the fixture with the same method, path and JSON body, anything else a 404
+ * @param {string} fixturesDir - Folder of { request, response } JSON files
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+export async function startInnerTubeStub(fixturesDir) {
+    const fixtures = fs.readdirSync(fixturesDir)
+        .filter(file => file.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8')));
+    const requests = [];
+    
+    const stub = await listen((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, path: req.url, body: raw ? JSON.parse(raw) : null };
+            requests.push(request);
+            
+            const fixture = fixtures.find(({ request: expected }) => expected.method === request.method
+                && expected.path === request.path
+                && isDeepStrictEqual(expected.body, request.body));
+            
+            res.writeHead(fixture ? 200 : 404, { 'content-type': 'application/json' });
+            res.end(JSON.stringify(fixture ? fixture.response : { error: 'No fixture for this request' }));
+        });
+    });
+    
+    return { ...stub, requests };
+}
+
+/**
+ * Starts a static server for saved pages laid out as <host>/<path>.html
+ * (<host>/index.html for the root path)
+ * @param {string} pagesDir - Folder of saved pages
+ * @returns {Promise<Object>} { baseUrl, close }
+ */
+export async function startPageServer(pagesDir) {
+    return listen((req, res) => {
+        const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).replace(/\/+$/, '');
+        const candidates = [`${pathname}.html`, `${pathname}/index.html`]
+            .map(candidate => path.join(pagesDir, path.normalize(candidate)))
+            .filter(file => file.startsWith(pagesDir));
+        const file = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+        
+        res.writeHead(file ? 200 : 404, { 'content-type': 'text/html; charset=utf-8' });
+        res.end(file ? fs.readFileSync(file) : 'Not found');
+    });
+}
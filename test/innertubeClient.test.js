@@ -0,0 +1,54 @@
+import assert from 'assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createInnerTubeClient, createFetchTransport } from '../src/innertubeClient.js';
+import { parseVideoItems } from '../src/contentExtractor.js';
+import { findContinuationToken } from '../src/channelTabs.js';
+import { startInnerTubeStub } from './helpers/fixtureServers.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'innertube');
+
+// Client settings the fixtures were recorded with
+const CLIENT_CONFIG = {
+    apiKey: 'TEST_API_KEY',
+    context: {
+        client: { clientName: 'WEB', clientVersion: '2.20240101.00.00', hl: 'en', gl: 'US' },
+    },
+};
+
+describe('InnerTube client', () => {
+    let stub;
+    
+    before(async () => {
+        stub = await startInnerTubeStub(FIXTURES_DIR);
+    });
+    
+    after(async () => {
+        await stub.close();
+    });
+    
+    it('browses a channel tab through the fetch transport', async () => {
+        const client = createInnerTubeClient({ ...CLIENT_CONFIG, transport: createFetchTransport(), baseUrl: stub.baseUrl });
+        const response = await client.browse({ browseId: 'UCX6OQ3DkcsbYNE6H8uQQuVA', params: 'EgZ2aWRlb3PyBgQKAjoA' });
+        
+        const videos = parseVideoItems(response, 'en');
+        assert.equal(videos.length, 1);
+        assert.equal(videos[0].videoId, 'dQw4w9WgXcQ');
+        assert.equal(videos[0].url, 'https://www.youtube.com/watch?v=dQw4w9WgXcQ');
+        assert.equal(findContinuationToken(response), 'TEST_CONTINUATION_TOKEN');
+    });
+    
+    it('follows a grid continuation', async () => {
+        const client = createInnerTubeClient({ ...CLIENT_CONFIG, transport: createFetchTransport(), baseUrl: stub.baseUrl });
+        const response = await client.continuation('TEST_CONTINUATION_TOKEN');
+        
+        assert.deepEqual(parseVideoItems(response, 'en').map(video => video.videoId), ['9bZkp7q19f0']);
+    });
+    
+    it('rejects when the server has no response for the request', async () => {
+        const client = createInnerTubeClient({ ...CLIENT_CONFIG, transport: createFetchTransport(), baseUrl: stub.baseUrl });
+        
+        await assert.rejects(client.continuation('UNKNOWN_TOKEN'), /failed with status 404/);
+        assert.equal(stub.requests.at(-1).body.continuation, 'UNKNOWN_TOKEN');
+    });
+});
@@ -0,0 +1,39 @@
+import assert from 'assert/strict';
+import { parseJoinedDate } from '../src/utility.js';
+
+describe('Joined dates', () => {
+    it('reads English dates', () => {
+        assert.equal(parseJoinedDate('Joined Jan 15, 2017', 'en'), '2017-01-15');
+        assert.equal(parseJoinedDate('Joined 15 Jan 2017', 'en-GB'), '2017-01-15');
+    });
+    
+    it('reads numeric English dates month first unless the region is day-first', () => {
+        assert.equal(parseJoinedDate('Joined 01/02/2017', 'en'), '2017-01-02');
+        assert.equal(parseJoinedDate('Joined 01/02/2017', 'en-US'), '2017-01-02');
+        assert.equal(parseJoinedDate('Joined 01/02/2017'), '2017-01-02');
+        assert.equal(parseJoinedDate('Joined 01/02/2017', 'en-GB'), '2017-02-01');
+        assert.equal(parseJoinedDate('Joined 13/02/2017', 'en'), '2017-02-13');
+    });
+    
+    it('reads German dates', () => {
+        assert.equal(parseJoinedDate('Beigetreten am 15.01.2017', 'de'), '2017-01-15');
+        assert.equal(parseJoinedDate('Beigetreten am 03.02.2017', 'de'), '2017-02-03');
+        assert.equal(parseJoinedDate('Beigetreten am 15. Jan. 2017', 'de'), '2017-01-15');
+    });
+    
+    it('reads French dates', () => {
+        assert.equal(parseJoinedDate('Inscrit le 15 janv. 2017', 'fr'), '2017-01-15');
+        assert.equal(parseJoinedDate('Inscrit le 3 févr. 2017', 'fr'), '2017-02-03');
+    });
+    
+    it('reads Japanese dates', () => {
+        assert.equal(parseJoinedDate('2017/01/15 に登録', 'ja'), '2017-01-15');
+        assert.equal(parseJoinedDate('登録日: 2017年1月15日', 'ja'), '2017-01-15');
+    });
+    
+    it('returns null for texts without a date', () => {
+        assert.equal(parseJoinedDate('Joined recently', 'en'), null);
+        assert.equal(parseJoinedDate('Joined 31/02/2017', 'de'), null);
+        assert.equal(parseJoinedDate('', 'en'), null);
+    });
+});
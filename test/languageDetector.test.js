@@ -0,0 +1,52 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { detectLanguage, detectChannelLanguages } from '../src/languageDetector.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'languages');
+
+const channels = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'channels.json'), 'utf8'));
+
+describe('Language detection', () => {
+    for (const channel of channels) {
+        it(`detects languages: ${channel.name}`, () => {
+            const languages = detectChannelLanguages(channel.description, channel.videoTitles);
+            
+            assert.equal(languages.descriptionLanguage?.code ?? null, channel.expected.description);
+            assert.equal(languages.videoTitlesLanguage?.code ?? null, channel.expected.videoTitles);
+            if ('primary' in channel.expected) assert.equal(languages.primaryLanguage?.code ?? null, channel.expected.primary);
+        });
+    }
+    
+    it('returns ISO 639-1 codes with a confidence between 0 and 1', () => {
+        for (const channel of channels) {
+            const { descriptionLanguage } = detectChannelLanguages(channel.description, channel.videoTitles);
+            
+            assert.match(descriptionLanguage.code, /^[a-z]{2}$/);
+            assert.ok(descriptionLanguage.confidence > 0 && descriptionLanguage.confidence <= 1);
+        }
+    });
+    
+    it('is less confident about channels mixing languages', () => {
+        const mixed = channels.find(channel => channel.expected.description !== channel.expected.videoTitles && channel.expected.videoTitles);
+        const languages = detectChannelLanguages(mixed.description, mixed.videoTitles);
+        
+        assert.ok(languages.primaryLanguage.confidence < languages.videoTitlesLanguage.confidence);
+    });
+    
+    it('returns null for empty and short texts', () => {
+        assert.equal(detectLanguage(''), null);
+        assert.equal(detectLanguage(null), null);
+        assert.equal(detectLanguage('Hi! New video'), null);
+        assert.deepEqual(detectChannelLanguages('', []), {
+            descriptionLanguage: null,
+            videoTitlesLanguage: null,
+            primaryLanguage: null,
+        });
+    });
+    
+    it('ignores links, emails, handles and hashtags', () => {
+        assert.equal(detectLanguage('https://www.example.com/some/long/path hello@example.com @testcreator #cooking'), null);
+    });
+});
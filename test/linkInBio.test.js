@@ -0,0 +1,63 @@
+import assert from 'assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLinkInBioExpander, createFetchFetcher } from '../src/linkInBio.js';
+import { startPageServer } from './helpers/fixtureServers.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'link-in-bio');
+
+describe('Link-in-bio expander', () => {
+    let server;
+    
+    before(async () => {
+        server = await startPageServer(FIXTURES_DIR);
+    });
+    
+    after(async () => {
+        await server.close();
+    });
+    
+    it('reads the links and emails of a Linktree page', async () => {
+        const expander = createLinkInBioExpander({ baseUrl: server.baseUrl });
+        const [page] = await expander.expand(['https://linktr.ee/testcreator'], createFetchFetcher());
+        
+        assert.equal(page.url, 'https://linktr.ee/testcreator');
+        assert.equal(page.aggregator, 'linktree');
+        assert.deepEqual(page.links.sort(), [
+            'https://shop.testcreator.com/',
+            'https://www.instagram.com/testcreator',
+            'https://www.tiktok.com/@testcreator',
+        ]);
+        assert.deepEqual(page.emails.sort(), ['business@testcreator.com', 'hello@testcreator.com']);
+    });
+    
+    it('reads a Carrd page from its subdomain', async () => {
+        const expander = createLinkInBioExpander({ baseUrl: server.baseUrl });
+        const [page] = await expander.expand(['https://testcreator.carrd.co/'], createFetchFetcher());
+        
+        assert.equal(page.aggregator, 'carrd');
+        assert.deepEqual(page.links.sort(), [
+            'https://discord.gg/testcreator',
+            'https://twitter.com/testcreator',
+            'https://www.patreon.com/testcreator',
+        ]);
+        assert.deepEqual(page.emails, ['collabs@testcreator.com']);
+    });
+    
+    it('skips links that are not aggregators and respects maxPages', async () => {
+        const expander = createLinkInBioExpander({ maxPages: 1, baseUrl: server.baseUrl });
+        const pages = await expander.expand([
+            'https://www.instagram.com/testcreator',
+            'https://www.youtube.com/redirect?q=https%3A%2F%2Flinktr.ee%2Ftestcreator',
+            'https://testcreator.carrd.co/',
+        ], createFetchFetcher());
+        
+        assert.deepEqual(pages.map(page => page.url), ['https://linktr.ee/testcreator']);
+    });
+    
+    it('leaves out pages that cannot be fetched', async () => {
+        const expander = createLinkInBioExpander({ baseUrl: server.baseUrl });
+        
+        assert.deepEqual(await expander.expand(['https://linktr.ee/missing'], createFetchFetcher()), []);
+    });
+});
@@ -0,0 +1,62 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { extractMonetization } from '../src/monetization.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'monetization');
+
+const loadFixture = name => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+describe('Monetization signals', () => {
+    const withSignals = extractMonetization(loadFixture('page-header-with-signals'));
+    const classicHeader = extractMonetization(loadFixture('classic-header-with-signals'));
+    const withoutSignals = extractMonetization(loadFixture('page-header-without-signals'));
+    
+    it('finds the membership button by its command or renderer, not its label', () => {
+        assert.equal(withSignals.hasMemberships, true);
+        assert.equal(classicHeader.hasMemberships, true);
+        assert.equal(withoutSignals.hasMemberships, false);
+        
+        const offersByApiUrl = loadFixture('page-header-with-signals');
+        const [, joinButton] = offersByApiUrl.header.pageHeaderRenderer.content.pageHeaderViewModel
+            .actions.flexibleActionsViewModel.actionsRows[0].actions;
+        delete joinButton.buttonViewModel.onTap.innertubeCommand.ypcGetOffersEndpoint;
+        assert.equal(extractMonetization(offersByApiUrl).hasMemberships, true);
+    });
+    
+    it('reads the merch shelf products', () => {
+        assert.equal(withSignals.hasMerchShelf, true);
+        assert.deepEqual(withSignals.merchItems, [{
+            title: 'Tour Shirt',
+            price: '25,00 €',
+            vendor: 'Spring',
+            url: 'https://shop.example.com/shirt',
+        }]);
+        assert.equal(withoutSignals.hasMerchShelf, false);
+        assert.deepEqual(withoutSignals.merchItems, []);
+    });
+    
+    it('finds the Store tab by its URL', () => {
+        assert.equal(withSignals.hasStoreTab, true);
+        assert.equal(withoutSignals.hasStoreTab, false);
+    });
+    
+    it('finds Shopping from the Store tab or product listings', () => {
+        assert.equal(withSignals.hasShopping, true);
+        assert.equal(withoutSignals.hasShopping, false);
+        
+        const productsOnly = loadFixture('page-header-with-signals');
+        productsOnly.contents.twoColumnBrowseResultsRenderer.tabs.pop();
+        const monetization = extractMonetization(productsOnly);
+        assert.equal(monetization.hasStoreTab, false);
+        assert.equal(monetization.hasShopping, true);
+    });
+    
+    it('finds the Official Artist Channel badge', () => {
+        assert.equal(withSignals.isOfficialArtistChannel, true);
+        assert.equal(classicHeader.isOfficialArtistChannel, true);
+        assert.equal(withoutSignals.isOfficialArtistChannel, false);
+        assert.equal(extractMonetization({}, 'Official Artist Channel').isOfficialArtistChannel, true);
+    });
+});
@@ -0,0 +1,41 @@
+import assert from 'assert/strict';
+import { extractPhones, normalizePhone, resolvePhoneRegion } from '../src/phones.js';
+
+const phonesIn = (text, region) => extractPhones(text, region).map(entry => entry.phone);
+
+describe('Phone numbers', () => {
+    it('takes numbers with a + country code anywhere', () => {
+        assert.deepEqual(phonesIn('Bookings +44 20 7946 0958', 'US'), ['+442079460958']);
+    });
+    
+    it('takes national numbers only after a phone keyword', () => {
+        assert.deepEqual(phonesIn('Tel: 030 12345678', 'DE'), ['+493012345678']);
+        assert.deepEqual(phonesIn('📞 07911 123456', 'GB'), ['+447911123456']);
+        assert.deepEqual(phonesIn('Büro 030 12345678', 'DE'), []);
+    });
+    
+    it('leaves out years and ranges', () => {
+        assert.deepEqual(phonesIn('2019-2020 season', 'DE'), []);
+        assert.deepEqual(phonesIn('Phone: 2019-2020', 'DE'), []);
+        assert.deepEqual(phonesIn('1,234,567 views since 2019', 'US'), []);
+    });
+    
+    it('reads North American formatting as a North American number in other regions', () => {
+        assert.deepEqual(phonesIn('Call me: (415) 555-2671', 'DE'), ['+14155552671']);
+        assert.deepEqual(phonesIn('call 1-800-555-0199', 'DE'), ['+18005550199']);
+        assert.deepEqual(phonesIn('call 1-800-123-4567', 'DE'), []);
+    });
+    
+    it('marks the number type', () => {
+        const [entry] = extractPhones('call 1-800-555-0199', 'US');
+        assert.equal(entry.type, 'toll-free');
+        assert.equal(normalizePhone('+4915123456789').type, 'mobile');
+    });
+    
+    it('reads the region from the channel location, then gl', () => {
+        assert.equal(resolvePhoneRegion('Deutschland', { hl: 'de', gl: 'US' }), 'DE');
+        assert.equal(resolvePhoneRegion('United Kingdom', { gl: 'US' }), 'GB');
+        assert.equal(resolvePhoneRegion('', { gl: 'fr' }), 'FR');
+        assert.equal(resolvePhoneRegion('Narnia', {}), undefined);
+    });
+});
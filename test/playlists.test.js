@@ -0,0 +1,52 @@
+import assert from 'assert/strict';
+import { parsePlaylistItems } from '../src/contentExtractor.js';
+
+const linkPart = text => ({ text: { content: text, commandRuns: [{ startIndex: 0, length: text.length, onTap: {} }] } });
+
+const playlistLockup = (playlistId, videoCountText, metadataParts) => ({
+    lockupViewModel: {
+        contentId: playlistId,
+        contentType: 'LOCKUP_CONTENT_TYPE_PLAYLIST',
+        contentImage: {
+            collectionThumbnailViewModel: {
+                primaryThumbnail: {
+                    thumbnailViewModel: {
+                        image: { sources: [{ url: `https://i.ytimg.com/vi/${playlistId}/hqdefault.jpg`, width: 480, height: 360 }] },
+                        overlays: [{ thumbnailOverlayBadgeViewModel: { thumbnailBadges: [{ thumbnailBadgeViewModel: { text: videoCountText } }] } }],
+                    },
+                },
+            },
+        },
+        metadata: {
+            lockupMetadataViewModel: {
+                title: { content: `Playlist ${playlistId}` },
+                metadata: { contentMetadataViewModel: { metadataRows: metadataParts.map(part => ({ metadataParts: [part] })) } },
+            },
+        },
+    },
+});
+
+describe('Playlists', () => {
+    it('reads the last-updated text of lockups in any display language', () => {
+        const tab = {
+            items: [
+                playlistLockup('PLen', '12 videos', [{ text: { content: 'Updated 3 days ago' } }, linkPart('View full playlist')]),
+                playlistLockup('PLde', '8 Videos', [{ text: { content: 'Vor 2 Tagen aktualisiert' } }, linkPart('Vollständige Playlist ansehen')]),
+                playlistLockup('PLja', '5 本の動画', [linkPart('Test Channel'), { text: { content: '今日更新' } }]),
+            ],
+        };
+        
+        const playlists = parsePlaylistItems(tab, 'en');
+        assert.deepEqual(playlists.map(playlist => playlist.lastUpdatedText), [
+            'Updated 3 days ago',
+            'Vor 2 Tagen aktualisiert',
+            '今日更新',
+        ]);
+        assert.deepEqual(playlists.map(playlist => playlist.videoCount), [12, 8, 5]);
+    });
+    
+    it('leaves the text empty when only links are shown', () => {
+        const [playlist] = parsePlaylistItems({ items: [playlistLockup('PLx', '3 videos', [linkPart('View full playlist')])] });
+        assert.equal(playlist.lastUpdatedText, '');
+    });
+});
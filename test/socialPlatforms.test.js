@@ -0,0 +1,71 @@
+import assert from 'assert/strict';
+import { categorizeSocialUrls } from '../src/channelParser.js';
+import { findSocialPlatform, createSocialPlatforms, compileSocialPlatform } from '../src/socialProfiles.js';
+import { filterUrlsByDomain } from '../src/utility.js';
+
+const platformOf = (url, rules) => findSocialPlatform(url, rules)?.platform || null;
+
+describe('Social platform classifier', () => {
+    it('matches platforms by hostname and its subdomains', () => {
+        assert.equal(platformOf('https://www.instagram.com/testcreator'), 'instagram');
+        assert.equal(platformOf('https://m.facebook.com/testcreator'), 'facebook');
+        assert.equal(platformOf('https://x.com/testcreator'), 'twitter');
+        assert.equal(platformOf('https://open.spotify.com/artist/abc'), 'spotify');
+    });
+    
+    it('does not match hosts that only contain a platform domain', () => {
+        assert.equal(platformOf('https://notinstagram.com/testcreator'), null);
+        assert.equal(platformOf('https://box.com/testcreator'), null);
+        assert.equal(platformOf('https://nfb.com/film'), null);
+        assert.equal(platformOf('https://example.com/github.com/testcreator'), null);
+        assert.equal(platformOf('https://instagram.com.example.net/testcreator'), null);
+    });
+    
+    it('matches hosts with a path prefix only under that path', () => {
+        assert.equal(platformOf('https://discord.com/invite/abc'), 'discord');
+        assert.equal(platformOf('https://discord.com/channels/1/2'), null);
+    });
+    
+    it('files links into backward compatible *Urls fields', () => {
+        const urls = categorizeSocialUrls([
+            'https://www.youtube.com/redirect?q=https%3A%2F%2Fwww.instagram.com%2Ftestcreator',
+            'https://notinstagram.com/testcreator',
+            'https://open.spotify.com/artist/abc',
+            'https://open.spotify.com/track/xyz',
+            'https://twitter.com/testcreator',
+        ]);
+        
+        assert.deepEqual(urls.instagramUrls, ['https://www.instagram.com/testcreator']);
+        assert.deepEqual(urls.twitterUrls, ['https://twitter.com/testcreator']);
+        assert.deepEqual(urls.spotifyUrls, ['https://open.spotify.com/artist/abc']);
+        assert.deepEqual(urls.websiteUrls, ['https://notinstagram.com/testcreator']);
+        assert.deepEqual(urls.tiktokUrls, []);
+    });
+    
+    it('filters URLs by hostname', () => {
+        assert.deepEqual(filterUrlsByDomain([
+            'https://github.com/testcreator',
+            'https://example.com/github.com',
+            'https://gist.github.com/testcreator/1',
+        ], ['github.com']), ['https://github.com/testcreator', 'https://gist.github.com/testcreator/1']);
+    });
+    
+    it('adds platforms defined in the input', () => {
+        const platforms = createSocialPlatforms({
+            threads: { hosts: ['https://www.threads.net/'], profileUrl: 'https://www.threads.net/@{handle}' },
+            bluesky: { hosts: ['bsky.app'], paths: [{ pattern: '^/profile/(?<handle>[\\w.-]+)/?$' }] },
+        });
+        const urls = categorizeSocialUrls(['https://www.threads.net/@testcreator', 'https://bsky.app/profile/test.bsky.social'], platforms);
+        
+        assert.deepEqual(urls.threadsUrls, ['https://www.threads.net/@testcreator']);
+        assert.deepEqual(urls.blueskyUrls, ['https://bsky.app/profile/test.bsky.social']);
+        assert.ok(urls.instagramUrls, 'built-in platforms stay');
+    });
+    
+    it('rejects invalid platform definitions', () => {
+        assert.throws(() => compileSocialPlatform('my-platform', { hosts: ['example.com'] }), /Invalid platform name/);
+        assert.throws(() => compileSocialPlatform('website', { hosts: ['example.com'] }), /Invalid platform name/);
+        assert.throws(() => compileSocialPlatform('kick', { hosts: [] }), /has no hosts/);
+        assert.throws(() => compileSocialPlatform('kick', { hosts: ['kick.com'], paths: [{ pattern: '^/(?<handle>\\w+)', type: 'story' }] }), /Unknown link type/);
+    });
+});
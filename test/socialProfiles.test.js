@@ -0,0 +1,91 @@
+import assert from 'assert/strict';
+import { parseSocialUrl, collectSocialProfiles, createOwnChannelCheck } from '../src/socialProfiles.js';
+
+describe('Social profiles', () => {
+    it('reads handles into canonical profile URLs', () => {
+        assert.deepEqual(parseSocialUrl('https://www.instagram.com/TestCreator/?utm_source=ig'), {
+            platform: 'instagram',
+            linkType: 'profile',
+            handle: 'testcreator',
+            profileUrl: 'https://www.instagram.com/testcreator/',
+            url: 'https://instagram.com/TestCreator',
+        });
+        assert.equal(parseSocialUrl('https://m.facebook.com/testcreator').url, 'https://facebook.com/testcreator');
+        assert.equal(parseSocialUrl('https://www.tiktok.com/@testcreator').handle, 'testcreator');
+    });
+    
+    it('resolves YouTube redirect links', () => {
+        const profile = parseSocialUrl('https://www.youtube.com/redirect?q=https%3A%2F%2Ftwitter.com%2Ftestcreator');
+        assert.equal(profile.platform, 'twitter');
+        assert.equal(profile.handle, 'testcreator');
+    });
+    
+    it('tells profiles from posts and videos', () => {
+        const linkType = url => parseSocialUrl(url).linkType;
+        
+        assert.equal(linkType('https://www.instagram.com/reel/Cabc123/'), 'video');
+        assert.equal(linkType('https://www.instagram.com/p/Cabc123/'), 'post');
+        assert.equal(linkType('https://x.com/testcreator/status/1234567890'), 'post');
+        assert.equal(linkType('https://www.tiktok.com/@testcreator/video/1234567890'), 'video');
+        assert.equal(linkType('https://www.instagram.com/testcreator'), 'profile');
+    });
+    
+    it('keeps the handle of the author on posts', () => {
+        const post = parseSocialUrl('https://twitter.com/testcreator/status/1234567890?s=20');
+        assert.equal(post.handle, 'testcreator');
+        assert.equal(post.url, 'https://twitter.com/testcreator/status/1234567890');
+    });
+    
+    it('returns null for links outside known platforms', () => {
+        assert.equal(parseSocialUrl('https://notinstagram.com/testcreator'), null);
+        assert.equal(parseSocialUrl('mailto:hello@example.com'), null);
+    });
+    
+    it('deduplicates profiles and records every page they were found on', () => {
+        const profiles = collectSocialProfiles([
+            { urls: ['https://www.instagram.com/testcreator', 'https://x.com/testcreator'], foundIn: 'https://www.youtube.com/@test/about' },
+            { urls: ['https://instagram.com/TestCreator/?hl=en'], foundIn: 'https://www.youtube.com/post/Ugkx1' },
+            { urls: ['https://www.instagram.com/testcreator'], foundIn: 'https://www.youtube.com/post/Ugkx1' },
+        ]);
+        
+        assert.equal(profiles.length, 2);
+        const instagram = profiles.find(profile => profile.platform === 'instagram');
+        assert.deepEqual(instagram.foundIn, ['https://www.youtube.com/@test/about', 'https://www.youtube.com/post/Ugkx1']);
+        assert.equal(instagram.sourceUrl, 'https://www.instagram.com/testcreator');
+    });
+    
+    it('keeps posts by the same author apart', () => {
+        const profiles = collectSocialProfiles([{
+            urls: ['https://x.com/testcreator/status/1', 'https://x.com/testcreator/status/2', 'https://x.com/testcreator'],
+            foundIn: 'https://www.youtube.com/@test/about',
+        }]);
+        
+        assert.deepEqual(profiles.map(profile => profile.linkType), ['post', 'post', 'profile']);
+    });
+    
+    describe('own channel links', () => {
+        const isOwnChannelLink = createOwnChannelCheck({
+            channelHandle: '@Test',
+            channelId: 'UC1234567890abcdefghijkl',
+            channelVanityUrl: 'https://www.youtube.com/c/TestChannel',
+            channelCanonicalUrl: 'https://www.youtube.com/channel/UC1234567890abcdefghijkl',
+        }, 'https://www.youtube.com/@test');
+        
+        it('matches the handle, ID and custom URL of the channel', () => {
+            assert.equal(isOwnChannelLink('https://www.youtube.com/@test'), true);
+            assert.equal(isOwnChannelLink('https://youtube.com/channel/UC1234567890abcdefghijkl'), true);
+            assert.equal(isOwnChannelLink('https://m.youtube.com/c/testchannel'), true);
+        });
+        
+        it('matches pages below the channel', () => {
+            assert.equal(isOwnChannelLink('https://www.youtube.com/@test/videos'), true);
+            assert.equal(isOwnChannelLink('https://www.youtube.com/channel/UC1234567890abcdefghijkl/community'), true);
+        });
+        
+        it('keeps other channels and sites', () => {
+            assert.equal(isOwnChannelLink('https://www.youtube.com/@testgaming'), false);
+            assert.equal(isOwnChannelLink('https://www.youtube.com/channel/UCotherchannel000000000'), false);
+            assert.equal(isOwnChannelLink('https://www.instagram.com/@test'), false);
+        });
+    });
+});
@@ -0,0 +1,60 @@
+import assert from 'assert/strict';
+import { createTopicClassifier, compileTopicTerm } from '../src/topicClassifier.js';
+import { validateInput } from '../src/inputValidator.js';
+
+const GAMING_CHANNEL = {
+    keywords: ['gaming', 'minecraft'],
+    description: 'Daily Minecraft gameplay and speedrun attempts. Business: hello@example.com',
+    videoTitles: ['Minecraft Hardcore Day 100', 'Speedrun world record attempt', 'Q&A stream'],
+    urls: ['https://www.twitch.tv/example', 'https://www.youtube.com/redirect?q=https%3A%2F%2Fstore.steampowered.com%2Fapp%2F1'],
+};
+
+describe('Topic classifier', () => {
+    it('tags channels with the default taxonomy', () => {
+        const [top] = createTopicClassifier().classify(GAMING_CHANNEL);
+        
+        assert.equal(top.topic, 'gaming');
+        assert.equal(top.confidence, 0.8);
+        assert.deepEqual(top.matchedTerms.sort(), ['gameplay', 'gaming', 'minecraft', 'speedrun', 'steampowered.com', 'twitch.tv']);
+    });
+    
+    it('matches plain terms as whole words only', () => {
+        const pattern = compileTopicTerm('tech');
+        assert.equal(pattern.test('Latest tech news'), true);
+        assert.equal(pattern.test('Biotechnology explained'), false);
+    });
+    
+    it('uses a custom taxonomy with regex terms instead of the default one', () => {
+        const classifier = createTopicClassifier({ retro: ['/\\bn64|snes\\b/', 'retro'] });
+        const topics = classifier.classify({ description: 'Retro games on the SNES and N64', videoTitles: ['Minecraft'] });
+        
+        assert.deepEqual(topics.map(topic => topic.topic), ['retro']);
+        assert.deepEqual(topics[0].matchedTerms, ['/\\bn64|snes\\b/', 'retro']);
+    });
+    
+    it('makes regex terms case-insensitive and drops stateful flags', () => {
+        const pattern = compileTopicTerm('/speed ?run/g');
+        assert.equal(pattern.flags, 'i');
+        assert.equal(pattern.test('SPEEDRUN'), true);
+        assert.equal(pattern.test('SPEEDRUN'), true);
+    });
+    
+    it('throws on invalid regex terms, which the validator drops', () => {
+        assert.throws(() => compileTopicTerm('/([a-z/'), SyntaxError);
+        
+        const { sanitizedInput, warnings } = validateInput({
+            keywords: ['music'],
+            topicTaxonomy: { retro: ['/([a-z/', 'retro'], broken: ['/(/'], empty: [] },
+        });
+        assert.deepEqual(sanitizedInput.topicTaxonomy, { retro: ['retro'] });
+        assert.ok(warnings.some(warning => warning.includes('Invalid regex "/([a-z/"')));
+        assert.ok(warnings.some(warning => warning.includes('Topic "broken" has no valid terms')));
+    });
+    
+    it('drops topics below the minimum confidence', () => {
+        const channel = { videoTitles: ['My new laptop'] };
+        
+        assert.deepEqual(createTopicClassifier(undefined, { minConfidence: 0 }).classify(channel).map(topic => topic.topic), ['tech']);
+        assert.deepEqual(createTopicClassifier(undefined, { minConfidence: 0.5 }).classify(channel), []);
+    });
+});
@@ -0,0 +1,101 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parsePlayerDescription, extractVideoDescriptions } from '../src/videoDescriptions.js';
+import { buildChannelRecord } from '../src/channelRecord.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'video-descriptions');
+
+const loadFixture = name => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf8'));
+
+/**
+ * Tab loader serving the fixture Videos tab and player responses
+ * @returns {Object} Loader (see channelTabs.js) with the video IDs it was asked for
+ */
+const createFixtureLoader = () => ({
+    locale: 'en',
+    region: 'US',
+    playersFetched: [],
+    async loadTab() {
+        return loadFixture('videos-tab');
+    },
+    async fetchContinuation() {
+        return null;
+    },
+    async fetchPlayer(videoId) {
+        this.playersFetched.push(videoId);
+        return fs.existsSync(path.join(FIXTURES_DIR, `player-${videoId}.json`)) ? loadFixture(`player-${videoId}`) : null;
+    },
+});
+
+describe('Video descriptions', () => {
+    it('reads the description of a player response', () => {
+        assert.deepEqual(parsePlayerDescription(loadFixture('player-vid00000003')), {
+            videoId: 'vid00000003',
+            title: 'Q&A: answering your questions',
+            description: 'Answers to your questions. Management: mgmt@talentagency.example\nTikTok: https://www.tiktok.com/@testcreator',
+        });
+    });
+    
+    it('falls back to the microformat description', () => {
+        const parsed = parsePlayerDescription(loadFixture('player-vid00000002'));
+        assert.equal(parsed.description, 'Pizza tour! Merch: https://shop.testcreator.com\nContact: hello@testcreator.com');
+    });
+    
+    it('returns null without video details', () => {
+        assert.equal(parsePlayerDescription(null), null);
+        assert.equal(parsePlayerDescription({ playabilityStatus: { status: 'ERROR' } }), null);
+    });
+    
+    it('reads the latest uploads from the Videos tab up to maxVideos', async () => {
+        const loader = createFixtureLoader();
+        const descriptions = await extractVideoDescriptions(loader, { maxVideos: 2 });
+        
+        assert.deepEqual(loader.playersFetched, ['vid00000001', 'vid00000002']);
+        assert.deepEqual(descriptions.map(video => video.url), [
+            'https://www.youtube.com/watch?v=vid00000001',
+            'https://www.youtube.com/watch?v=vid00000002',
+        ]);
+        assert.ok(descriptions[0].links.includes('https://www.instagram.com/testcreator'));
+        assert.ok(descriptions[0].links.includes('https://sponsor.example.com/testcreator'));
+    });
+    
+    it('uses the uploads already collected and skips videos without a player response', async () => {
+        const loader = createFixtureLoader();
+        const descriptions = await extractVideoDescriptions(loader, {
+            videos: [{ videoId: 'vid00000003' }, { videoId: 'removed0000' }, { videoId: 'vid00000001' }],
+            maxVideos: 3,
+        });
+        
+        assert.deepEqual(loader.playersFetched, ['vid00000003', 'removed0000', 'vid00000001']);
+        assert.deepEqual(descriptions.map(video => video.videoId), ['vid00000003', 'vid00000001']);
+    });
+    
+    it('mines the descriptions into the emails and social profiles of the channel', async () => {
+        const record = await buildChannelRecord({
+            request: { url: 'https://www.youtube.com/@testcreator', userData: {} },
+            loader: createFixtureLoader(),
+            ytData: null,
+            identity: { channelId: 'UCtestcreator0000000000a', channelHandle: '@testcreator' },
+            aboutData: null,
+            basicInfo: { channelName: 'Test Creator', metadata: {} },
+            detailedInfo: { channelDescription: 'Treehouses, pizza and more.', channelLinks: [] },
+            allUrls: [],
+            crawlerType: 'http',
+            startTime: Date.now(),
+        }, { mineVideoDescriptions: true, maxVideoDescriptions: 2 });
+        const watchUrl = videoId => `https://www.youtube.com/watch?v=${videoId}`;
+        
+        assert.deepEqual(record.channelEmail.map(email => [email.email, email.foundIn]), [
+            ['business@testcreator.com', [watchUrl('vid00000001')]],
+            ['hello@testcreator.com', [watchUrl('vid00000002')]],
+        ]);
+        assert.deepEqual(record.socialProfiles.map(profile => [profile.platform, profile.foundIn]), [
+            ['instagram', [watchUrl('vid00000001')]],
+            ['twitter', [watchUrl('vid00000001')]],
+        ]);
+        assert.deepEqual(record.instagramUrls, ['https://www.instagram.com/testcreator']);
+        assert.deepEqual(record.tiktokUrls, []);
+    });
+});
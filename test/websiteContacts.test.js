@@ -0,0 +1,119 @@
+import assert from 'assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Configuration, RequestQueue, log } from 'crawlee';
+import { createWebsiteContactCollector, crawlWebsiteContacts } from '../src/websiteContacts.js';
+import { startPageServer } from './helpers/fixtureServers.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'websites');
+
+const channel = (name, urls, channelStatus = 'active') => ({
+    channelURL: `https://www.youtube.com/@${name}`,
+    channelId: `UC${name}`,
+    channelName: name,
+    channelStatus,
+    channelLocation: 'United States',
+    channelLinks: urls.map(url => ({ title: url, url })),
+});
+
+const TEST_CREATOR = channel('testcreator', [
+    'https://www.youtube.com/redirect?q=https%3A%2F%2Ftestcreator.com%2F',
+    'https://testcreator.com/',
+    'https://www.instagram.com/testcreator',
+    'https://www.youtube.com/@testcreatorclips',
+    'https://docs.google.com/forms/d/1',
+]);
+
+describe('Website contacts', () => {
+    let server;
+    let logLevel;
+    
+    before(async () => {
+        Configuration.getGlobalConfig().set('persistStorage', false);
+        logLevel = log.getLevel();
+        log.setLevel(log.LEVELS.WARNING);
+        server = await startPageServer(FIXTURES_DIR);
+    });
+    
+    after(async () => {
+        log.setLevel(logLevel);
+        await server.close();
+    });
+    
+    const crawl = async (collector) => {
+        await crawlWebsiteContacts(collector, { crawlerOptions: { maxRequestRetries: 0 } });
+        return collector.getResults();
+    };
+    
+    it('seeds the crawl with the own websites among the About links', () => {
+        const collector = createWebsiteContactCollector({ baseUrl: server.baseUrl });
+        collector.addChannel(TEST_CREATOR);
+        collector.addChannel(channel('socialonly', ['https://www.instagram.com/socialonly', 'https://www.youtube.com/@other']));
+        collector.addChannel(channel('gone', ['https://othercreator.net/'], 'terminated'));
+        
+        assert.equal(collector.channelCount, 1);
+        assert.deepEqual(collector.getStartRequests().map(request => request.userData.pageUrl), ['https://testcreator.com/']);
+    });
+    
+    it('visits the linked page and its contact pages up to the depth', async () => {
+        const collector = createWebsiteContactCollector({ baseUrl: server.baseUrl });
+        collector.addChannel(TEST_CREATOR);
+        const [result] = await crawl(collector);
+        
+        assert.deepEqual(result.websiteUrls, ['https://testcreator.com/']);
+        assert.deepEqual(result.pagesVisited.sort(), [
+            'https://testcreator.com/',
+            'https://testcreator.com/about',
+            'https://testcreator.com/contact',
+        ]);
+    });
+    
+    it('follows contact pages further with a higher depth', async () => {
+        const collector = createWebsiteContactCollector({ baseUrl: server.baseUrl, maxDepth: 2 });
+        collector.addChannel(TEST_CREATOR);
+        const [result] = await crawl(collector);
+        
+        assert.ok(result.pagesVisited.includes('https://testcreator.com/contact/management'));
+        assert.ok(!result.pagesVisited.includes('https://testcreator.com/blog/first-post'));
+    });
+    
+    it('stops at the page budget of a channel', async () => {
+        const collector = createWebsiteContactCollector({ baseUrl: server.baseUrl, maxPagesPerChannel: 2 });
+        collector.addChannel(TEST_CREATOR);
+        const [result] = await crawl(collector);
+        
+        assert.equal(result.pagesVisited.length, 2);
+        assert.equal(result.pagesVisited[0], 'https://testcreator.com/');
+    });
+    
+    it('records the page each contact was found on', async () => {
+        const collector = createWebsiteContactCollector({ baseUrl: server.baseUrl });
+        collector.addChannel(TEST_CREATOR);
+        const [result] = await crawl(collector);
+        const foundIn = (items, key, value) => items.find(item => item[key] === value)?.foundIn;
+        
+        assert.deepEqual(foundIn(result.emails, 'email', 'hello@testcreator.com'), ['https://testcreator.com/']);
+        assert.deepEqual(foundIn(result.emails, 'email', 'business@testcreator.com'), ['https://testcreator.com/contact']);
+        assert.deepEqual(foundIn(result.emails, 'email', 'press@testcreator.com'), ['https://testcreator.com/about']);
+        assert.ok(!result.emails.some(email => email.email === 'nobody@example.com'));
+        assert.deepEqual(foundIn(result.phones, 'phone', '+14155550123'), ['https://testcreator.com/contact']);
+        
+        assert.deepEqual(result.socialProfiles.map(profile => [profile.platform, profile.foundIn.sort()]).sort(), [
+            ['instagram', ['https://testcreator.com/', 'https://testcreator.com/about']],
+            ['twitter', ['https://testcreator.com/contact']],
+        ]);
+    });
+    
+    it('crawls on a queue of its own', async () => {
+        const channelQueue = await RequestQueue.open();
+        await channelQueue.addRequest({ url: `${server.baseUrl}/othercreator.net/`, userData: { websiteContactsOf: TEST_CREATOR.channelURL } });
+        
+        const collector = createWebsiteContactCollector({ baseUrl: server.baseUrl, maxPagesPerChannel: 1 });
+        collector.addChannel(TEST_CREATOR);
+        const [result] = await crawl(collector);
+        
+        assert.deepEqual(result.pagesVisited, ['https://testcreator.com/']);
+        assert.equal(await channelQueue.isEmpty(), false);
+        await channelQueue.drop();
+    });
+});